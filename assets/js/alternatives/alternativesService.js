@@ -0,0 +1,27 @@
+import APIService from '../api/apiService.js';
+
+/**
+ * Alternatives Service
+ * Handles API calls for alternative translations with explanations for language learners
+ */
+class AlternativesService {
+    constructor() {
+        this.apiService = new APIService();
+    }
+
+    /**
+     * Get two or three alternatives to a translation
+     * @param {Object} request - { text, translation, langCode1, langCode2, sensitive, userId, sessionId, provider, model }
+     * @returns {Promise<Object>} Response object with data.alternatives ({ translation, explanation }) and the answering provider
+     */
+    async getAlternatives(request) {
+        return await this.apiService.post('translateAlternatives', request);
+    }
+}
+
+export default AlternativesService;
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlternativesService;
+}
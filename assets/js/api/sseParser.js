@@ -0,0 +1,144 @@
+/**
+ * Server-Sent Events parser
+ * Incrementally parses a text/event-stream body into { event, data, id } messages,
+ * following the EventSource framing rules (named events, multi-line data, comments, CRLF)
+ */
+class SSEParser {
+    constructor() {
+        this.buffer = '';
+        this.resetMessage();
+    }
+
+    resetMessage() {
+        this.eventName = '';
+        this.dataLines = [];
+        this.lastEventId = null;
+    }
+
+    /**
+     * Feed a decoded chunk of the stream
+     * @param {string} chunk - Text decoded from the response body
+     * @returns {Array<{event: string, data: string, id: string|null}>} Messages completed by this chunk
+     */
+    push(chunk) {
+        let text = this.buffer + chunk;
+        const messages = [];
+
+        // A trailing CR may be the first half of a CRLF split across chunks
+        let heldBack = '';
+        if (text.endsWith('\r')) {
+            heldBack = '\r';
+            text = text.slice(0, -1);
+        }
+
+        // Split on any line terminator; keep the last (possibly incomplete) line in the buffer
+        const lines = text.split(/\r\n|\r|\n/);
+        this.buffer = (lines.pop() ?? '') + heldBack;
+
+        for (const line of lines) {
+            const message = this.processLine(line);
+            if (message) {
+                messages.push(message);
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Flush a final message that was not followed by a blank line
+     * @returns {Array<{event: string, data: string, id: string|null}>} Remaining messages
+     */
+    flush() {
+        const messages = [];
+        if (this.buffer) {
+            const message = this.processLine(this.buffer.replace(/\r$/, ''));
+            this.buffer = '';
+            if (message) messages.push(message);
+        }
+        const message = this.processLine('');
+        if (message) messages.push(message);
+        return messages;
+    }
+
+    processLine(line) {
+        // Blank line dispatches the pending message
+        if (line === '') {
+            if (this.dataLines.length === 0) {
+                this.resetMessage();
+                return null;
+            }
+            const message = {
+                event: this.eventName || 'message',
+                data: this.dataLines.join('\n'),
+                id: this.lastEventId
+            };
+            this.resetMessage();
+            return message;
+        }
+
+        // Comment line
+        if (line.startsWith(':')) {
+            return null;
+        }
+
+        const separatorIndex = line.indexOf(':');
+        const field = separatorIndex === -1 ? line : line.substring(0, separatorIndex);
+        let value = separatorIndex === -1 ? '' : line.substring(separatorIndex + 1);
+        if (value.startsWith(' ')) {
+            value = value.substring(1);
+        }
+
+        switch (field) {
+            case 'event':
+                this.eventName = value;
+                break;
+            case 'data':
+                this.dataLines.push(value);
+                break;
+            case 'id':
+                this.lastEventId = value;
+                break;
+            default:
+                // Unknown fields (e.g. retry) are ignored
+                break;
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Read a fetch Response body as a stream of SSE messages
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @returns {AsyncGenerator<{event: string, data: string, id: string|null}>} Parsed messages
+ */
+export async function* readSSE(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = new SSEParser();
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            for (const message of parser.push(decoder.decode(value, { stream: true }))) {
+                yield message;
+            }
+        }
+
+        for (const message of parser.flush()) {
+            yield message;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+export default SSEParser;
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SSEParser;
+}
@@ -0,0 +1,37 @@
+import APIService from '../api/apiService.js';
+
+/**
+ * Comparison Service
+ * Handles API calls for provider comparison votes
+ */
+class ComparisonService {
+    constructor() {
+        this.apiService = new APIService();
+    }
+
+    /**
+     * Save a vote for the better translation of a comparison
+     * @param {Object} vote - { comparisonId, text, langCode1, langCode2, candidates, winner, userId, sessionId, sensitive }
+     * Confidential votes are sent and stored without the source text and translations
+     * @returns {Promise<Object>} Response object with data.vote
+     */
+    async saveVote(vote) {
+        return await this.apiService.post('saveComparisonVote', vote);
+    }
+
+    /**
+     * Get the URL that downloads all votes
+     * @param {string} format - 'csv' or 'json'
+     * @returns {string} Export URL
+     */
+    getExportUrl(format = 'csv') {
+        return this.apiService.buildUrl(`exportComparisonVotes?format=${encodeURIComponent(format)}`);
+    }
+}
+
+export default ComparisonService;
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComparisonService;
+}
@@ -3,6 +3,13 @@ import ThemeService from '../theme/theme-service.js';
 import SpeechToTextService from '../speech/speechToTextService.js';
 import TextToSpeechService from '../speech/textToSpeechService.js';
 import AccessTokenService from '../token/accessTokenService.js';
+import { readSSE } from '../api/sseParser.js';
+import GlossaryService from '../glossary/glossaryService.js';
+import UsageService from '../usage/usageService.js';
+import ComparisonService from '../comparison/comparisonService.js';
+import LanguageIdentificationService from '../language/languageIdentificationService.js';
+import CapabilitiesService from '../models/capabilitiesService.js';
+import AlternativesService from '../alternatives/alternativesService.js';
 
 class LLMInterpreter {
     constructor(options = {}) {
@@ -12,6 +19,12 @@ class LLMInterpreter {
         this.authService = new AuthService();
         this.themeService = new ThemeService();
         this.textToSpeechService = new TextToSpeechService();
+        this.glossaryService = new GlossaryService();
+        this.usageService = new UsageService();
+        this.comparisonService = new ComparisonService();
+        this.languageIdentificationService = new LanguageIdentificationService();
+        this.capabilitiesService = new CapabilitiesService();
+        this.alternativesService = new AlternativesService();
         
         this.isRecognizing = false;
         this.isTTSInitialized = false;
@@ -23,6 +36,25 @@ class LLMInterpreter {
         this.mainContent = document.getElementById('main-content');
         
         this.currentLanguage = 'en-US';
+        this.lastRoutingDecision = null;
+        
+        // Rolling window of prior turns sent with each translation for consistency
+        this.contextWindowSize = options.contextWindowSize || 6;
+        this.conversationHistory = [];
+        this.sessionId = this.createSessionId();
+        this.sessionUsage = this.createEmptyUsage();
+        
+        // Abort controllers of in-flight translation streams
+        this.activeTranslations = new Set();
+        
+        // Low-latency mode: provisional translation of debounced interim results
+        this.speculativeDebounceMs = options.speculativeDebounceMs || 600;
+        this.speculativeMinWords = options.speculativeMinWords || 3;
+        this.speculationTimer = null;
+        this.speculation = null;
+        
+        // Lecture mode: Language 1 is translated into several languages at once
+        this.maxLectureTargets = options.maxLectureTargets || 6;
         
         // DOM element references
         this.elements = {};
@@ -46,6 +78,8 @@ class LLMInterpreter {
             await this.populateLanguages();
             this.setupEventListeners();
             this.initializeTranslationToggle();
+            await this.loadGlossary();
+            await this.loadModelOptions();
             
             // Hide loading spinner and show main content
             await this.hideAuthLoadingAndShowContent();
@@ -64,11 +98,31 @@ class LLMInterpreter {
             language1Select: document.getElementById('language1Select'),
             language2Select: document.getElementById('language2Select'),
             enableTranslation: document.getElementById('enableTranslation'),
+            formalitySelect: document.getElementById('formalitySelect'),
+            modelSelect: document.getElementById('modelSelect'),
+            compareMode: document.getElementById('compareMode'),
+            speculativeMode: document.getElementById('speculativeMode'),
+            confidentialMode: document.getElementById('confidentialMode'),
+            structuredMode: document.getElementById('structuredMode'),
+            lectureMode: document.getElementById('lectureMode'),
+            lecturePanel: document.getElementById('lecturePanel'),
+            lectureTargets: document.getElementById('lectureTargets'),
+            lectureSpeakLanguage: document.getElementById('lectureSpeakLanguage'),
+            exportVotesLink: document.getElementById('exportVotesLink'),
             statusDisplay: document.getElementById('statusDisplay'),
             recognitionText: document.getElementById('recognitionText'),
             chatList: document.getElementById('chatList'),
             translationList: document.getElementById('translationList'),
-            detectedLanguageDisplay: document.getElementById('detectedLanguageDisplay')
+            detectedLanguageDisplay: document.getElementById('detectedLanguageDisplay'),
+            glossaryForm: document.getElementById('glossaryForm'),
+            glossarySourceTerm: document.getElementById('glossarySourceTerm'),
+            glossaryTargetTerm: document.getElementById('glossaryTargetTerm'),
+            glossaryKeepOriginal: document.getElementById('glossaryKeepOriginal'),
+            glossaryScope: document.getElementById('glossaryScope'),
+            glossaryList: document.getElementById('glossaryList'),
+            usagePanel: document.getElementById('usagePanel'),
+            sessionUsageSummary: document.getElementById('sessionUsageSummary'),
+            usageTableBody: document.getElementById('usageTableBody')
         };
     }
 
@@ -78,7 +132,7 @@ class LLMInterpreter {
         const voices = await this.getAvailableLanguages();
 
         // Clear all selects
-        [language1Select, language2Select].forEach(select => {
+        [language1Select, language2Select, this.elements.lectureTargets].filter(Boolean).forEach(select => {
             select.innerHTML = "";
         });
 
@@ -108,10 +162,21 @@ class LLMInterpreter {
                 lang2Option.selected = true;
             }
             language2Select.appendChild(lang2Option);
+
+            // Lecture mode target languages
+            if (this.elements.lectureTargets) {
+                const lectureOption = document.createElement("option");
+                lectureOption.value = locale;
+                lectureOption.textContent = `${localeName}`;
+                lectureOption.selected = locale === "es-ES";
+                this.elements.lectureTargets.appendChild(lectureOption);
+            }
         });
+        this.updateLectureSpeakOptions();
 
         // Set initial current language (will be overridden by auto-detection)
         this.currentLanguage = language1Select.value;
+        this.loadFormalityForPair();
     }
 
     setupEventListeners() {
@@ -135,6 +200,46 @@ class LLMInterpreter {
             this.elements.enableTranslation.addEventListener('change', () => this.onTranslationToggle());
         }
 
+        if (this.elements.formalitySelect) {
+            this.elements.formalitySelect.addEventListener('change', () => this.onFormalityChange());
+        }
+
+        if (this.elements.confidentialMode) {
+            // Confidential sessions may only pick self-hosted models
+            this.elements.confidentialMode.addEventListener('change', () => this.loadModelOptions());
+        }
+
+        if (this.elements.lectureMode) {
+            this.elements.lectureMode.addEventListener('change', () => {
+                this.elements.lecturePanel?.classList.toggle('d-none', !this.elements.lectureMode.checked);
+            });
+        }
+
+        if (this.elements.lectureTargets) {
+            this.elements.lectureTargets.addEventListener('change', () => this.updateLectureSpeakOptions());
+        }
+
+        if (this.elements.glossaryForm) {
+            this.elements.glossaryForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.addGlossaryEntry();
+            });
+        }
+
+        if (this.elements.exportVotesLink) {
+            this.elements.exportVotesLink.href = this.comparisonService.getExportUrl('csv');
+        }
+
+        if (this.elements.usagePanel) {
+            this.elements.usagePanel.addEventListener('show.bs.collapse', () => this.loadUsage());
+        }
+
+        if (this.elements.glossaryKeepOriginal && this.elements.glossaryTargetTerm) {
+            this.elements.glossaryKeepOriginal.addEventListener('change', () => {
+                this.elements.glossaryTargetTerm.disabled = this.elements.glossaryKeepOriginal.checked;
+            });
+        }
+
         // Clean up on page unload
         window.addEventListener('beforeunload', () => {
             if (this) {
@@ -159,6 +264,9 @@ class LLMInterpreter {
 
     async stopRecognition() {
         try {
+            // Nothing said before stopping should still be translated or spoken
+            this.cancelSpeculation();
+            this.cancelAllTranslations();
             await this.stopSpeechRecognition();
             this.updateButtonStates(false);
             if (this.elements.recognitionText) {
@@ -184,6 +292,7 @@ class LLMInterpreter {
         const selectedText = this.elements.language1Select.options[this.elements.language1Select.selectedIndex].text;
         
         this.updateStatus(`Language 1 changed to: ${selectedText}`, 'info');
+        this.loadFormalityForPair();
         this.updateDetectedLanguageDisplay('🎙️ Speak in either language - detection will appear here');
     }
 
@@ -192,9 +301,109 @@ class LLMInterpreter {
         const selectedText = this.elements.language2Select.options[this.elements.language2Select.selectedIndex].text;
         
         this.updateStatus(`Language 2 changed to: ${selectedText}`, 'info');
+        this.loadFormalityForPair();
         this.updateDetectedLanguageDisplay('🎙️ Speak in either language - detection will appear here');
     }
 
+    /**
+     * Storage key for the current language pair; the pair is unordered since both speakers share it
+     * @returns {string|null} Key, or null before languages are populated
+     */
+    getFormalityPairKey() {
+        const lang1 = this.elements.language1Select?.value;
+        const lang2 = this.elements.language2Select?.value;
+        if (!lang1 || !lang2) return null;
+        return [lang1, lang2].sort().join('|');
+    }
+
+    getFormalityPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem('formalityByLanguagePair')) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    loadFormalityForPair() {
+        const select = this.elements.formalitySelect;
+        const pairKey = this.getFormalityPairKey();
+        if (!select || !pairKey) return;
+
+        select.value = this.getFormalityPreferences()[pairKey] || 'auto';
+    }
+
+    onFormalityChange() {
+        const pairKey = this.getFormalityPairKey();
+        const formality = this.getFormality();
+        if (pairKey) {
+            const preferences = this.getFormalityPreferences();
+            preferences[pairKey] = formality;
+            localStorage.setItem('formalityByLanguagePair', JSON.stringify(preferences));
+        }
+        this.updateStatus(`Formality set to ${formality} for this language pair`, 'info');
+    }
+
+    getFormality() {
+        return this.elements.formalitySelect?.value || 'auto';
+    }
+
+    isStructuredModeEnabled() {
+        return this.elements.structuredMode?.checked === true;
+    }
+
+    // Confidential sessions are routed to the local model only
+    isConfidentialSession() {
+        return this.elements.confidentialMode?.checked === true;
+    }
+
+    /**
+     * Fill the model dropdown with the models the server allows
+     * The current choice is kept when it is still allowed, otherwise it falls back to Automatic.
+     */
+    async loadModelOptions() {
+        const select = this.elements.modelSelect;
+        if (!select) return;
+
+        const response = await this.capabilitiesService.getCapabilities({ sensitive: this.isConfidentialSession() });
+        if (!response.success || !response.data?.success) {
+            console.warn('Failed to load model options:', response.error || response.data?.message);
+            return;
+        }
+
+        const previous = select.value;
+        select.innerHTML = '';
+        const automatic = document.createElement('option');
+        automatic.value = '';
+        automatic.textContent = 'Automatic';
+        select.appendChild(automatic);
+
+        response.data.data.providers.forEach(provider => {
+            const group = document.createElement('optgroup');
+            group.label = provider.name;
+            provider.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = `${provider.name}:${model}`;
+                option.textContent = model === provider.defaultModel ? `${model} (default)` : model;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+
+        select.value = [...select.options].some(option => option.value === previous) ? previous : '';
+    }
+
+    /**
+     * Get the provider and model picked in the settings
+     * @returns {{provider?: string, model?: string}} Empty when the router decides
+     */
+    getModelSelection() {
+        const value = this.elements.modelSelect?.value;
+        if (!value) return {};
+
+        const separator = value.indexOf(':');
+        return { provider: value.substring(0, separator), model: value.substring(separator + 1) };
+    }
+
     updateDetectedLanguageDisplay(message, type = 'info') {
         const displayEl = this.elements.detectedLanguageDisplay;
         if (displayEl) {
@@ -297,8 +506,25 @@ class LLMInterpreter {
             }
             
             // Trigger translation if enabled
-            if (this.elements.enableTranslation?.checked) {
-                await this.translateDetectedText(text, detectedLanguage);
+            if (this.isLectureModeEnabled()) {
+                // The presenter speaks Language 1
+                await this.translateLecture(text, this.elements.language1Select?.value);
+            } else if (this.elements.enableTranslation?.checked) {
+                const sourceLanguage = await this.resolveSourceLanguage(text, detectedLanguage);
+                if (!sourceLanguage) {
+                    this.cancelSpeculation();
+                    this.updateStatus('Translation skipped: the language was not identified', 'warning');
+                } else {
+                    if (sourceLanguage !== detectedLanguage) {
+                        this.currentLanguage = sourceLanguage;
+                        this.updateDetectedLanguageDisplay(`🔎 Identified: ${this.getLanguageDisplayName(sourceLanguage)}`, 'detected');
+                    }
+                    if (this.elements.compareMode?.checked) {
+                        await this.compareDetectedText(text, sourceLanguage);
+                    } else if (!(await this.reconcileSpeculation(text, sourceLanguage))) {
+                        await this.translateDetectedText(text, sourceLanguage);
+                    }
+                }
             }
                         
         } else if (text.trim()) {
@@ -310,6 +536,10 @@ class LLMInterpreter {
                 this.addChatMessage(text, false);
             }
             recognitionContainer.classList.add('active');
+            
+            if (this.isSpeculativeModeEnabled()) {
+                this.scheduleSpeculativeTranslation(text, detectedLanguage);
+            }
         }
         
         // Only auto-scroll if user was already at bottom or if this is an interim message
@@ -318,6 +548,131 @@ class LLMInterpreter {
         }
     }
 
+    isSpeculativeModeEnabled() {
+        return this.elements.enableTranslation?.checked === true
+            && this.elements.speculativeMode?.checked === true
+            && this.elements.compareMode?.checked !== true
+            && !this.isLectureModeEnabled();
+    }
+
+    // Interim and final results differ in casing and punctuation only when the words are the same
+    normalizeForSpeculation(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+    }
+
+    scheduleSpeculativeTranslation(text, detectedLanguage) {
+        clearTimeout(this.speculationTimer);
+        if (text.trim().split(/\s+/).length < this.speculativeMinWords) return;
+
+        this.speculationTimer = setTimeout(() => {
+            this.runSpeculativeTranslation(text, detectedLanguage);
+        }, this.speculativeDebounceMs);
+    }
+
+    /**
+     * Translate interim text into a provisional bubble that is never spoken
+     * A newer interim result aborts the running speculation and reuses its bubble
+     * @param {string} text - Interim recognized text
+     * @param {string|null} detectedLanguage - Language if already detected, otherwise the last detected one is assumed
+     */
+    runSpeculativeTranslation(text, detectedLanguage) {
+        const sourceLanguage = detectedLanguage || this.currentLanguage;
+        const targetLanguage = sourceLanguage ? this.determineTargetLanguage(sourceLanguage) : null;
+        const translationList = this.elements.translationList;
+        if (!targetLanguage || targetLanguage === sourceLanguage || !translationList) return;
+
+        const key = this.normalizeForSpeculation(text);
+        const previous = this.speculation;
+        if (previous && previous.key === key && previous.sourceLanguage === sourceLanguage) return;
+
+        previous?.controller.abort();
+        let messageElement = previous?.messageElement;
+        let badge = previous?.badge;
+        if (!messageElement || !messageElement.isConnected) {
+            translationList.querySelector('.empty-state')?.remove();
+            messageElement = this.addTranslationMessage('', false);
+            messageElement.classList.add('provisional');
+            badge = this.addMessageBadge(messageElement, '⏳ Provisional', 'Translated while you were speaking; kept or replaced when recognition is final', 'secondary');
+        }
+
+        const textElement = messageElement.querySelector('.text');
+        textElement.textContent = '';
+
+        const speculation = { key, sourceLanguage, targetLanguage, messageElement, badge, controller: new AbortController(), flagged: false };
+        this.speculation = speculation;
+
+        speculation.promise = this.translateStreamText(
+            text,
+            sourceLanguage,
+            targetLanguage,
+            (currentText) => {
+                textElement.textContent = currentText;
+            },
+            {
+                context: this.getConversationContext(),
+                signal: speculation.controller.signal,
+                onMeta: (meta) => {
+                    if (meta.kind === 'validation' && meta.action === 'flagged') {
+                        speculation.flagged = true;
+                    }
+                }
+            }
+        ).catch(error => {
+            if (!speculation.controller.signal.aborted) {
+                console.warn('Speculative translation failed:', error.message);
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Keep the provisional translation if the final result says the same, otherwise discard it
+     * @param {string} text - Final recognized text
+     * @param {string|null} detectedLanguage - Detected source language
+     * @returns {Promise<boolean>} True if the provisional translation was kept and spoken
+     */
+    async reconcileSpeculation(text, detectedLanguage) {
+        clearTimeout(this.speculationTimer);
+        const speculation = this.speculation;
+        this.speculation = null;
+        if (!speculation) return false;
+
+        const matches = speculation.key === this.normalizeForSpeculation(text)
+            && (!detectedLanguage || detectedLanguage === speculation.sourceLanguage);
+        const translation = matches ? await speculation.promise : null;
+
+        if (!translation || speculation.flagged) {
+            speculation.controller.abort();
+            speculation.messageElement.remove();
+            return false;
+        }
+
+        const { messageElement, badge, sourceLanguage, targetLanguage } = speculation;
+        messageElement.classList.remove('interim', 'provisional');
+        messageElement.classList.add('final');
+        badge?.remove();
+        this.addMessageBadge(messageElement, '⚡ Early', 'Translated while you were speaking and confirmed by the final recognition', 'info');
+        if (this.lastRoutingDecision) {
+            messageElement.title = this.getRoutingTitle(this.lastRoutingDecision);
+        }
+
+        this.recordConversationTurn(text, translation, sourceLanguage, targetLanguage);
+        this.updateStatus(`Kept early translation to ${this.getLanguageDisplayName(targetLanguage)}`, 'success');
+
+        // Only the reconciled final version is ever spoken
+        await this.speakTranslation(translation, targetLanguage);
+        return true;
+    }
+
+    cancelSpeculation() {
+        clearTimeout(this.speculationTimer);
+        if (this.speculation) {
+            this.speculation.controller.abort();
+            this.speculation.messageElement.remove();
+            this.speculation = null;
+        }
+    }
+
     getLanguageDisplayName(languageCode) {
         if (this.languages) {
             const langObj = this.languages.find(l => l.locale === languageCode);
@@ -340,11 +695,95 @@ class LLMInterpreter {
         else if (detectedLanguage === lang2) {
             return lang1;
         }
-        // If detected language doesn't match either, default to translating to lang2
+        // Unknown languages are resolved by resolveSourceLanguage; never guess a direction here
         else {
-            console.warn(`Detected language ${detectedLanguage} doesn't match selected languages. Defaulting to translate to language 2.`);
-            return lang2;
+            console.warn(`Detected language ${detectedLanguage} doesn't match selected languages.`);
+            return null;
+        }
+    }
+
+    /**
+     * Make sure the source language is one of the two selected languages
+     * When speech detection is missing or names another language, the server identifies it,
+     * and the user is asked when the identification is not confident enough
+     * @param {string} text - Final recognized text
+     * @param {string|null} detectedLanguage - Language reported by speech recognition
+     * @returns {Promise<string|null>} Source language, or null if it stays unknown
+     */
+    async resolveSourceLanguage(text, detectedLanguage) {
+        const candidates = [this.elements.language1Select?.value, this.elements.language2Select?.value].filter(Boolean);
+        if (candidates.includes(detectedLanguage)) {
+            return detectedLanguage;
+        }
+
+        this.updateStatus(`🔎 ${detectedLanguage ? `Detected ${detectedLanguage} is not selected` : 'No language detected'}, identifying...`, 'loading');
+        const response = await this.languageIdentificationService.identify(text, candidates, {
+            sensitive: this.isConfidentialSession(),
+            userId: this.authService.getCurrentUser()?.username
+        });
+        const identification = response.success && response.data?.success ? response.data.data : null;
+        if (!identification) {
+            console.warn('Language identification failed:', response.error || response.data?.message);
         }
+
+        if (identification?.language && !identification.lowConfidence) {
+            const confidence = Math.round(identification.confidence * 100);
+            this.updateStatus(`🔎 Identified ${this.getLanguageDisplayName(identification.language)} (${confidence}% confident)`, 'info');
+            return identification.language;
+        }
+
+        return await this.askForSourceLanguage(text, candidates, identification);
+    }
+
+    /**
+     * Ask the user which language an utterance was in
+     * @param {string} text - Recognized text
+     * @param {string[]} candidates - Selected languages
+     * @param {Object|null} identification - Low-confidence identification, if any
+     * @returns {Promise<string|null>} Chosen language, or null if the user skips
+     */
+    askForSourceLanguage(text, candidates, identification) {
+        const translationList = this.elements.translationList;
+        if (!translationList) return Promise.resolve(null);
+
+        translationList.querySelector('.empty-state')?.remove();
+        const question = this.addTranslationMessage('', false);
+        question.classList.add('language-question');
+
+        const excerpt = text.length > 80 ? `${text.substring(0, 80)}…` : text;
+        const guess = identification?.language
+            ? ` Best guess: ${this.getLanguageDisplayName(identification.language)} (${Math.round(identification.confidence * 100)}%).`
+            : '';
+        question.querySelector('.text').textContent = `🤔 Which language was "${excerpt}"?${guess}`;
+        this.updateStatus('Not sure which language that was - please choose', 'warning');
+
+        return new Promise(resolve => {
+            const actions = document.createElement('div');
+            actions.className = 'language-question-actions';
+
+            const answer = (language) => {
+                question.remove();
+                resolve(language);
+            };
+
+            candidates.forEach(code => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `btn btn-sm ${code === identification?.language ? 'btn-primary' : 'btn-outline-primary'}`;
+                button.textContent = this.getLanguageDisplayName(code);
+                button.addEventListener('click', () => answer(code));
+                actions.appendChild(button);
+            });
+
+            const skipButton = document.createElement('button');
+            skipButton.type = 'button';
+            skipButton.className = 'btn btn-sm btn-outline-secondary';
+            skipButton.textContent = 'Skip';
+            skipButton.addEventListener('click', () => answer(null));
+            actions.appendChild(skipButton);
+
+            question.appendChild(actions);
+        });
     }
 
     async translateDetectedText(text, detectedLanguage) {
@@ -386,15 +825,20 @@ class LLMInterpreter {
         }
         
         // Add loading message
+        const cancellation = new AbortController();
         const loadingMessage = this.addTranslationMessage('🔄 Translating...', false, true);
+        this.addCancelButton(loadingMessage, cancellation);
+        let streamingMessage = null;
         
         try {
             this.updateStatus(`Streaming translation from ${detectedLanguageName} to ${targetLanguageName}...`, 'loading');
             
             // Use streaming translation with real-time updates
-            let streamingMessage = null;
+            let cachedTranslation = null;
+            let flaggedOutput = null;
+            let spokenSegments = 0;
             
-            await this.translateStreamText(
+            const translation = await this.translateStreamText(
                 text, 
                 detectedLanguage, 
                 targetLanguage,
@@ -407,6 +851,10 @@ class LLMInterpreter {
                     // Create streaming message if it doesn't exist
                     if (!streamingMessage) {
                         streamingMessage = this.addTranslationMessage('', false);
+                        this.addCancelButton(streamingMessage, cancellation);
+                        if (this.lastRoutingDecision) {
+                            streamingMessage.title = this.getRoutingTitle(this.lastRoutingDecision);
+                        }
                         
                         // Clean up any existing typing animations in other messages
                         const allTextElements = translationList.querySelectorAll('.text.typing');
@@ -434,45 +882,898 @@ class LLMInterpreter {
                     if (isDone && streamingMessage) {
                         streamingMessage.classList.remove('interim');
                         streamingMessage.classList.add('final');
+                        streamingMessage.querySelector('.message-cancel')?.remove();
+                        if (this.lastRoutingDecision) {
+                            streamingMessage.title = this.getRoutingTitle(this.lastRoutingDecision);
+                        }
+                        if (flaggedOutput) {
+                            this.addMessageBadge(streamingMessage, '🛡️ Check', `This may not be a translation: ${flaggedOutput.reasons.join(', ')}`, 'danger');
+                        }
+                        if (cachedTranslation) {
+                            this.addMessageBadge(streamingMessage, '⚡ Cached', `Cached ${cachedTranslation.provider} translation from ${new Date(cachedTranslation.cachedAt).toLocaleString()}`, 'info');
+                        }
+                        if (!flaggedOutput && currentText.trim()) {
+                            this.addAlternativesButton(streamingMessage, text, currentText, detectedLanguage, targetLanguage);
+                        }
 
                         // Small delay to let typing animation finish, then speak the translated text
                         setTimeout(async () => {
-                            try {
-                                await this.initializeTextToSpeech();
-                                const recommendedVoices = await this.textToSpeechService.getRecommendedVoices(targetLanguage, 1);
-                                const voiceName = recommendedVoices.length > 0 ? recommendedVoices[0].shortName : undefined;
-
-                                // Use currentText which contains the complete final translation
-                                console.log(`TTS: Speaking translated text (${currentText.length} chars): "${currentText.substring(0, 100)}${currentText.length > 100 ? '...' : ''}"`);
-                                
-                                this.textToSpeechService.speakQueued(currentText || '', { 
-                                    language: targetLanguage, 
-                                    voice: voiceName 
-                                });
-                            } catch (ttsError) {
-                                console.warn('Failed to speak translated text:', ttsError);
-                                // Don't break the translation flow for TTS errors
-                            }
+                            // Never speak output that may answer the speaker instead of translating
+                            if (flaggedOutput || cancellation.signal.aborted || spokenSegments > 0) return;
+                            // Use currentText which contains the complete final translation
+                            await this.speakTranslation(currentText, targetLanguage);
                         }, 500); // 500ms delay to let typing animation complete
                     }
+                            },
+                            {
+                                context: this.getConversationContext(),
+                                signal: cancellation.signal,
+                                onSegment: (segment) => {
+                                    // Long inputs are spoken sentence by sentence as they complete
+                                    if (segment.flagged || cancellation.signal.aborted || !segment.text) return;
+                                    spokenSegments++;
+                                    this.speakTranslation(segment.text, targetLanguage);
+                                },
+                                onMeta: (meta) => {
+                                    if (meta.kind === 'cache' && meta.hit) {
+                                        cachedTranslation = meta;
+                                    }
+                                    if (meta.kind === 'validation' && meta.action === 'flagged') {
+                                        flaggedOutput = meta;
+                                    }
+                                    if (meta.kind === 'glossary' && meta.violations?.length > 0 && streamingMessage) {
+                                        const terms = meta.violations.map(v => `"${v.sourceTerm}" → "${v.expected}"`).join(', ');
+                                        this.addMessageBadge(streamingMessage, '⚠️ Glossary', `Glossary not followed: ${terms}`, 'warning');
+                                    }
+                                },
+                                onNotes: (notes) => {
+                                    if (streamingMessage) {
+                                        this.addTranslationNotes(streamingMessage, notes, detectedLanguage);
+                                    }
+                                },
+                                onQuality: (quality) => {
+                                    if (quality.lowConfidence && streamingMessage) {
+                                        const problems = quality.problems.map(p => `"${p.span}": ${p.issue}`).join('\n');
+                                        const details = `Quality score ${quality.score} (${quality.method}) is below ${quality.threshold}${problems ? `\n${problems}` : ''}`;
+                                        this.addMessageBadge(streamingMessage, '⚠️ Low confidence', details, 'warning');
+                                    }
+                                }
                             }
                         );
             
+            this.recordConversationTurn(text, translation, detectedLanguage, targetLanguage);
             this.updateStatus(`Translated from ${detectedLanguageName} to ${targetLanguageName}`, 'success');
                     
         } catch (error) {
-            console.error('Translation error:', error);
-            this.updateStatus(`Translation failed: ${error.message}`, 'error');
-            
             // Remove loading message and add error message
             if (loadingMessage && loadingMessage.parentNode) {
                 loadingMessage.remove();
             }
+
+            if (cancellation.signal.aborted) {
+                this.markTranslationCancelled(streamingMessage || this.addTranslationMessage('', true));
+                return;
+            }
+
+            console.error('Translation error:', error);
+            this.updateStatus(`Translation failed: ${error.message}`, 'error');
             
             this.addTranslationMessage(`❌ Translation failed: ${error.message}`, true, false, 'error');
         }
     }
 
+    /**
+     * Translate an utterance with several providers in parallel and render the outputs side by side
+     * @param {string} text - Recognized text
+     * @param {string} detectedLanguage - Detected source language
+     */
+    async compareDetectedText(text, detectedLanguage) {
+        const targetLanguage = detectedLanguage ? this.determineTargetLanguage(detectedLanguage) : null;
+        const translationList = this.elements.translationList;
+
+        if (!targetLanguage || !translationList || detectedLanguage === targetLanguage) {
+            this.updateStatus('Unable to compare: no distinct source and target language', 'warning');
+            return;
+        }
+
+        const emptyState = translationList.querySelector('.empty-state');
+        if (emptyState) {
+            emptyState.remove();
+        }
+
+        const messageElement = this.addTranslationMessage('', false);
+        messageElement.classList.add('comparison-message');
+        const grid = document.createElement('div');
+        grid.className = 'comparison-grid';
+        messageElement.querySelector('.text').replaceWith(grid);
+
+        // Confidential comparisons are voted on without sending their text to be stored
+        const comparison = { comparisonId: null, lanes: new Map(), sensitive: this.isConfidentialSession() };
+        const cancellation = new AbortController();
+        this.addCancelButton(messageElement, cancellation);
+        this.activeTranslations.add(cancellation);
+
+        try {
+            this.updateStatus(`⚖️ Comparing providers for ${this.getLanguageDisplayName(targetLanguage)}...`, 'loading');
+
+            const response = await fetch('/.netlify/functions/translateCompare', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    text: text,
+                    langCode1: detectedLanguage,
+                    langCode2: targetLanguage,
+                    sessionId: this.sessionId,
+                    userId: this.authService.getCurrentUser()?.username,
+                    formality: this.getFormality(),
+                    sensitive: comparison.sensitive,
+                    context: this.getConversationContext()
+                }),
+                signal: cancellation.signal
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `Comparison service error: ${response.status} ${response.statusText}`);
+            }
+
+            for await (const message of readSSE(response)) {
+                let payload;
+                try {
+                    payload = JSON.parse(message.data);
+                } catch (parseError) {
+                    console.warn('Failed to parse SSE data:', parseError);
+                    continue;
+                }
+
+                if (message.event === 'meta' && payload.kind === 'comparison') {
+                    comparison.comparisonId = payload.comparisonId;
+                    payload.providers.forEach(candidate => {
+                        comparison.lanes.set(candidate.provider, this.createComparisonLane(grid, candidate));
+                    });
+                    continue;
+                }
+
+                const lane = comparison.lanes.get(payload.provider);
+                if (!lane) continue;
+
+                switch (message.event) {
+                    case 'delta':
+                        lane.translation += payload.text;
+                        lane.textElement.textContent = lane.translation;
+                        break;
+                    case 'done':
+                        lane.translation = payload.text ?? lane.translation;
+                        lane.textElement.textContent = lane.translation;
+                        lane.done = true;
+                        lane.flagged = payload.flagged === true;
+                        if (lane.flagged) {
+                            lane.element.classList.add('flagged');
+                            lane.element.title = 'This may not be a translation: it reads like a reply to the speaker';
+                        }
+                        break;
+                    case 'error':
+                        lane.failed = true;
+                        lane.element.classList.add('failed');
+                        lane.textElement.textContent = `❌ ${payload.message}`;
+                        break;
+                    case 'usage':
+                        this.recordSessionUsage(payload);
+                        break;
+                    default:
+                        break;
+                }
+            }
+
+            messageElement.classList.remove('interim');
+            messageElement.classList.add('final');
+            messageElement.querySelector('.message-cancel')?.remove();
+            this.enableComparisonVoting(messageElement, comparison, text, detectedLanguage, targetLanguage);
+            this.updateStatus('Comparison complete - vote for the better translation', 'success');
+
+        } catch (error) {
+            if (cancellation.signal.aborted) {
+                this.markTranslationCancelled(messageElement);
+                return;
+            }
+
+            console.error('Comparison error:', error);
+            messageElement.remove();
+            this.updateStatus(`Comparison failed: ${error.message}`, 'error');
+            this.addTranslationMessage(`❌ Comparison failed: ${error.message}`, true, false, 'error');
+        } finally {
+            this.activeTranslations.delete(cancellation);
+        }
+    }
+
+    createComparisonLane(grid, candidate) {
+        const element = document.createElement('div');
+        element.className = 'comparison-candidate';
+
+        const header = document.createElement('div');
+        header.className = 'comparison-provider';
+        header.textContent = `${candidate.provider} · ${candidate.model}`;
+        header.title = candidate.promptVersion || '';
+
+        const textElement = document.createElement('div');
+        textElement.className = 'text';
+
+        const voteButton = document.createElement('button');
+        voteButton.type = 'button';
+        voteButton.className = 'btn btn-outline-success btn-sm';
+        voteButton.textContent = '👍 Better';
+        voteButton.disabled = true;
+
+        element.append(header, textElement, voteButton);
+        grid.appendChild(element);
+
+        return { ...candidate, element, textElement, voteButton, translation: '', done: false, failed: false, flagged: false };
+    }
+
+    enableComparisonVoting(messageElement, comparison, text, langCode1, langCode2) {
+        // Flagged lanes are not translations, so they cannot win a vote
+        const lanes = [...comparison.lanes.values()].filter(lane => lane.done && !lane.failed && !lane.flagged);
+        if (lanes.length < 2) return;
+
+        const tieButton = document.createElement('button');
+        tieButton.type = 'button';
+        tieButton.className = 'btn btn-outline-secondary btn-sm mt-2';
+        tieButton.textContent = '🤝 Tie';
+        messageElement.appendChild(tieButton);
+
+        const buttons = [...lanes.map(lane => lane.voteButton), tieButton];
+
+        const vote = async (winner) => {
+            buttons.forEach(button => { button.disabled = true; });
+
+            const response = await this.comparisonService.saveVote({
+                comparisonId: comparison.comparisonId,
+                text: comparison.sensitive ? null : text,
+                langCode1,
+                langCode2,
+                winner,
+                userId: this.authService.getCurrentUser()?.username,
+                sessionId: this.sessionId,
+                sensitive: comparison.sensitive,
+                candidates: lanes.map(({ provider, model, promptVersion, translation }) => ({ provider, model, promptVersion, translation: comparison.sensitive ? null : translation }))
+            });
+
+            if (response.success && response.data.success) {
+                lanes.forEach(lane => lane.element.classList.toggle('winner', lane.provider === winner));
+                this.updateStatus(`Vote saved: ${winner === 'tie' ? 'tie' : winner}`, 'success');
+            } else {
+                buttons.forEach(button => { button.disabled = false; });
+                this.updateStatus(`Failed to save vote: ${response.data?.message || response.error}`, 'error');
+            }
+        };
+
+        lanes.forEach(lane => {
+            lane.voteButton.disabled = false;
+            lane.voteButton.addEventListener('click', () => vote(lane.provider));
+        });
+        tieButton.addEventListener('click', () => vote('tie'));
+    }
+
+    isLectureModeEnabled() {
+        return this.elements.enableTranslation?.checked === true && this.elements.lectureMode?.checked === true;
+    }
+
+    /**
+     * Get the languages lecture mode translates into
+     * @param {string} sourceLanguage - Presenter's language, never a target
+     * @returns {string[]} Selected target language codes
+     */
+    getLectureTargets(sourceLanguage) {
+        const options = this.elements.lectureTargets ? [...this.elements.lectureTargets.selectedOptions] : [];
+        return options.map(option => option.value).filter(code => code !== sourceLanguage).slice(0, this.maxLectureTargets);
+    }
+
+    // Offer only the selected target languages for text-to-speech, keeping the choice when possible
+    updateLectureSpeakOptions() {
+        const select = this.elements.lectureSpeakLanguage;
+        if (!select || !this.elements.lectureTargets) return;
+
+        const previous = select.value;
+        select.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None';
+        select.appendChild(none);
+
+        [...this.elements.lectureTargets.selectedOptions].forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.value;
+            option.textContent = target.textContent;
+            select.appendChild(option);
+        });
+        select.value = [...select.options].some(option => option.value === previous) ? previous : '';
+    }
+
+    /**
+     * Translate an utterance into every lecture target language at once, one column per language
+     * Only the language chosen under "Speak aloud" is spoken.
+     * @param {string} text - Recognized text
+     * @param {string} sourceLanguage - Presenter's language
+     */
+    async translateLecture(text, sourceLanguage) {
+        const targets = this.getLectureTargets(sourceLanguage);
+        const translationList = this.elements.translationList;
+
+        if (!sourceLanguage || targets.length === 0 || !translationList) {
+            this.updateStatus('Lecture mode: select at least one language other than Language 1 to translate into', 'warning');
+            return;
+        }
+
+        const emptyState = translationList.querySelector('.empty-state');
+        if (emptyState) {
+            emptyState.remove();
+        }
+
+        const speakLanguage = this.elements.lectureSpeakLanguage?.value || null;
+        const messageElement = this.addTranslationMessage('', false);
+        messageElement.classList.add('lecture-message');
+        const grid = document.createElement('div');
+        grid.className = 'lecture-grid';
+        messageElement.querySelector('.text').replaceWith(grid);
+        const columns = new Map(targets.map(language => [language, this.createLectureColumn(grid, language, language === speakLanguage)]));
+
+        const cancellation = new AbortController();
+        this.addCancelButton(messageElement, cancellation);
+        this.activeTranslations.add(cancellation);
+
+        try {
+            this.updateStatus(`🎓 Translating into ${targets.length} language(s)...`, 'loading');
+
+            const response = await fetch('/.netlify/functions/translateStream', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    text: text,
+                    langCode1: sourceLanguage,
+                    targetLanguages: targets,
+                    sessionId: this.sessionId,
+                    userId: this.authService.getCurrentUser()?.username,
+                    formality: this.getFormality(),
+                    sensitive: this.isConfidentialSession(),
+                    context: this.getConversationContext(),
+                    ...this.getModelSelection()
+                }),
+                signal: cancellation.signal
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                if (body.code === 'PROVIDER_NOT_ALLOWED' || body.code === 'MODEL_NOT_ALLOWED') {
+                    this.loadModelOptions();
+                }
+                throw new Error(body.error || `Translation service error: ${response.status} ${response.statusText}`);
+            }
+
+            for await (const message of readSSE(response)) {
+                let payload;
+                try {
+                    payload = JSON.parse(message.data);
+                } catch (parseError) {
+                    console.warn('Failed to parse SSE data:', parseError);
+                    continue;
+                }
+
+                // The server drops unsupported targets; remove their columns
+                if (message.event === 'meta' && payload.kind === 'targets') {
+                    columns.forEach((column, language) => {
+                        if (!payload.languages.includes(language)) {
+                            column.element.remove();
+                            columns.delete(language);
+                        }
+                    });
+                    continue;
+                }
+
+                const column = columns.get(payload.language);
+                if (!column) continue;
+
+                switch (message.event) {
+                    case 'delta':
+                        column.translation += payload.text;
+                        column.textElement.textContent = column.translation;
+                        break;
+                    case 'providerSwitched':
+                        // Failover in this column: discard the failed provider's partial text
+                        column.translation = column.committed;
+                        column.textElement.textContent = column.translation;
+                        break;
+                    case 'meta':
+                        if (payload.kind === 'validation' && payload.action === 'retry') {
+                            column.translation = column.committed;
+                            column.textElement.textContent = column.translation;
+                        } else if (payload.kind === 'validation' && payload.action === 'flagged') {
+                            column.flagged = true;
+                        }
+                        break;
+                    case 'segment':
+                        column.committed = column.translation;
+                        if (column.speak && !payload.flagged && payload.text) {
+                            column.spokenSegments++;
+                            this.speakTranslation(payload.text, column.language);
+                        }
+                        break;
+                    case 'done':
+                        column.translation = payload.text ?? column.translation;
+                        column.textElement.textContent = column.translation;
+                        column.done = true;
+                        column.flagged = column.flagged || payload.flagged === true;
+                        column.element.classList.toggle('flagged', column.flagged);
+                        // Never speak output that may answer the speaker instead of translating
+                        if (column.speak && !column.flagged && column.spokenSegments === 0) {
+                            this.speakTranslation(column.translation, column.language);
+                        }
+                        break;
+                    case 'error':
+                        column.failed = true;
+                        column.element.classList.add('failed');
+                        column.textElement.textContent = `❌ ${payload.message}`;
+                        break;
+                    case 'usage':
+                        this.recordSessionUsage(payload);
+                        break;
+                    default:
+                        break;
+                }
+            }
+
+            messageElement.classList.remove('interim');
+            messageElement.classList.add('final');
+            messageElement.querySelector('.message-cancel')?.remove();
+
+            // The spoken (or first) language carries the conversation context forward
+            const completed = [...columns.values()].filter(column => column.done && !column.failed);
+            const contextColumn = completed.find(column => column.speak) || completed[0];
+            if (contextColumn) {
+                this.recordConversationTurn(text, contextColumn.translation, sourceLanguage, contextColumn.language);
+            }
+            this.updateStatus(`🎓 Translated into ${completed.length} of ${columns.size} language(s)`, completed.length === columns.size ? 'success' : 'warning');
+
+        } catch (error) {
+            if (cancellation.signal.aborted) {
+                this.markTranslationCancelled(messageElement);
+                return;
+            }
+
+            console.error('Lecture translation error:', error);
+            messageElement.remove();
+            this.updateStatus(`Translation failed: ${error.message}`, 'error');
+            this.addTranslationMessage(`❌ Translation failed: ${error.message}`, true, false, 'error');
+        } finally {
+            this.activeTranslations.delete(cancellation);
+        }
+    }
+
+    createLectureColumn(grid, language, speak) {
+        const element = document.createElement('div');
+        element.className = 'lecture-column';
+
+        const header = document.createElement('div');
+        header.className = 'lecture-language';
+        header.textContent = `${speak ? '🔊 ' : ''}${this.getLanguageDisplayName(language)}`;
+
+        const textElement = document.createElement('div');
+        textElement.className = 'text';
+
+        element.append(header, textElement);
+        grid.appendChild(element);
+
+        return { language, speak, element, textElement, translation: '', committed: '', spokenSegments: 0, done: false, failed: false, flagged: false };
+    }
+
+    createSessionId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+    }
+
+    /**
+     * Get the most recent turns to send as translation context
+     * @returns {Array<Object>} Turns ({ source, translation, sourceLang, targetLang }), oldest first
+     */
+    getConversationContext() {
+        return this.conversationHistory.slice(-this.contextWindowSize);
+    }
+
+    recordConversationTurn(source, translation, sourceLang, targetLang) {
+        if (!source || !translation) return;
+
+        this.conversationHistory.push({ source, translation, sourceLang, targetLang });
+        if (this.conversationHistory.length > this.contextWindowSize) {
+            this.conversationHistory.shift();
+        }
+    }
+
+    resetConversation() {
+        this.conversationHistory = [];
+        this.sessionId = this.createSessionId();
+        this.sessionUsage = this.createEmptyUsage();
+        this.renderSessionUsage();
+        // Session-scoped glossary terms belong to the previous session
+        this.loadGlossary();
+    }
+
+    createEmptyUsage() {
+        return { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, firstTokenMsTotal: 0, firstTokenSamples: 0 };
+    }
+
+    formatCost(costUsd) {
+        return `$${(costUsd || 0).toFixed(4)}`;
+    }
+
+    recordSessionUsage(usage) {
+        const totals = this.sessionUsage;
+        // Side calls (segments, retries, quality checks, routing) add tokens but not translations
+        if (usage.primary) {
+            totals.requests += 1;
+        }
+        totals.inputTokens += usage.inputTokens || 0;
+        totals.outputTokens += usage.outputTokens || 0;
+        totals.costUsd += usage.costUsd || 0;
+        if (usage.firstTokenMs != null) {
+            totals.firstTokenMsTotal += usage.firstTokenMs;
+            totals.firstTokenSamples += 1;
+        }
+
+        this.renderSessionUsage();
+
+        // Keep the daily table current while the panel is open
+        if (this.elements.usagePanel?.classList.contains('show')) {
+            this.loadUsage();
+        }
+    }
+
+    renderSessionUsage() {
+        const summary = this.elements.sessionUsageSummary;
+        if (!summary) return;
+
+        const totals = this.sessionUsage;
+        if (totals.requests === 0) {
+            summary.textContent = 'No translations yet.';
+            return;
+        }
+
+        const avgFirstToken = totals.firstTokenSamples > 0
+            ? `${Math.round(totals.firstTokenMsTotal / totals.firstTokenSamples)} ms`
+            : 'n/a';
+        summary.textContent = `${totals.requests} translation(s) · ${totals.inputTokens} in / ${totals.outputTokens} out tokens · ` +
+            `avg. first token ${avgFirstToken} · ${this.formatCost(totals.costUsd)}`;
+    }
+
+    async loadUsage() {
+        const tableBody = this.elements.usageTableBody;
+        if (!tableBody) return;
+
+        try {
+            const today = new Date().toISOString().substring(0, 10);
+            const response = await this.usageService.getUsage({
+                userId: this.authService.getCurrentUser()?.username || 'anonymous',
+                from: today,
+                to: today
+            });
+
+            if (response.success && response.data.success) {
+                this.renderUsageTable(response.data.data.rows || []);
+            } else {
+                console.warn('Failed to load usage:', response.data?.message || response.error);
+            }
+        } catch (error) {
+            console.warn('Failed to load usage:', error);
+        }
+    }
+
+    renderUsageTable(rows) {
+        const tableBody = this.elements.usageTableBody;
+        tableBody.innerHTML = '';
+
+        if (rows.length === 0) {
+            const emptyRow = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 5;
+            cell.className = 'text-muted fst-italic';
+            cell.textContent = 'No usage recorded today.';
+            emptyRow.appendChild(cell);
+            tableBody.appendChild(emptyRow);
+            return;
+        }
+
+        rows.forEach(row => {
+            const tableRow = document.createElement('tr');
+            const values = [
+                row.provider,
+                row.requests,
+                `${row.inputTokens} / ${row.outputTokens}`,
+                row.avgFirstTokenMs != null ? `${row.avgFirstTokenMs} ms` : 'n/a',
+                this.formatCost(row.costUsd)
+            ];
+
+            values.forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index > 0) cell.className = 'text-end';
+                tableRow.appendChild(cell);
+            });
+
+            tableRow.title = row.models.join(', ');
+            tableBody.appendChild(tableRow);
+        });
+    }
+
+    async loadGlossary() {
+        if (!this.elements.glossaryList) return;
+
+        try {
+            const username = this.authService.getCurrentUser()?.username;
+            const response = await this.glossaryService.getEntries(username, this.sessionId);
+
+            if (response.success && response.data.success) {
+                this.renderGlossary(response.data.data.entries || []);
+            } else {
+                console.warn('Failed to load glossary:', response.data?.message || response.error);
+            }
+        } catch (error) {
+            console.warn('Failed to load glossary:', error);
+        }
+    }
+
+    renderGlossary(entries) {
+        const glossaryList = this.elements.glossaryList;
+        if (!glossaryList) return;
+
+        glossaryList.innerHTML = '';
+
+        if (entries.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.className = 'list-group-item text-muted fst-italic glossary-empty';
+            emptyItem.textContent = 'No glossary terms yet.';
+            glossaryList.appendChild(emptyItem);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center';
+
+            const label = document.createElement('span');
+            const rule = entry.keepOriginal ? 'keep untranslated' : `→ ${entry.targetTerm}`;
+            label.textContent = `${entry.sourceTerm} ${rule} (${entry.sourceLang} ↔ ${entry.targetLang}, ${entry.scope === 'session' ? 'this session' : 'all sessions'})`;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-outline-danger btn-sm';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Remove term';
+            deleteBtn.addEventListener('click', () => this.deleteGlossaryEntry(entry));
+
+            item.appendChild(label);
+            item.appendChild(deleteBtn);
+            glossaryList.appendChild(item);
+        });
+    }
+
+    getGlossaryOwner(scope) {
+        return scope === 'session' ? this.sessionId : this.authService.getCurrentUser()?.username;
+    }
+
+    async addGlossaryEntry() {
+        const { glossarySourceTerm, glossaryTargetTerm, glossaryKeepOriginal, glossaryScope } = this.elements;
+        const scope = glossaryScope?.value || 'user';
+        const owner = this.getGlossaryOwner(scope);
+
+        if (!owner) {
+            this.updateStatus('Sign in to save glossary terms for all sessions', 'warning');
+            return;
+        }
+
+        try {
+            const response = await this.glossaryService.saveEntry(scope, owner, {
+                sourceTerm: glossarySourceTerm.value,
+                targetTerm: glossaryTargetTerm.value,
+                sourceLang: this.elements.language1Select.value,
+                targetLang: this.elements.language2Select.value,
+                keepOriginal: glossaryKeepOriginal.checked
+            });
+
+            if (!response.success || !response.data.success) {
+                throw new Error(response.data?.message || response.error);
+            }
+
+            glossarySourceTerm.value = '';
+            glossaryTargetTerm.value = '';
+            this.updateStatus('Glossary term saved', 'success');
+            await this.loadGlossary();
+        } catch (error) {
+            this.updateStatus(`Failed to save glossary term: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteGlossaryEntry(entry) {
+        try {
+            const response = await this.glossaryService.deleteEntry(entry.scope, this.getGlossaryOwner(entry.scope), entry.id);
+
+            if (!response.success || !response.data.success) {
+                throw new Error(response.data?.message || response.error);
+            }
+
+            await this.loadGlossary();
+        } catch (error) {
+            this.updateStatus(`Failed to remove glossary term: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Attach a small badge to a translation bubble
+     * @param {HTMLElement} messageElement - Translation message element
+     * @param {string} label - Badge text
+     * @param {string} title - Tooltip with details
+     * @param {string} [variant] - Bootstrap color variant
+     */
+    addMessageBadge(messageElement, label, title, variant = 'secondary') {
+        const badge = document.createElement('span');
+        badge.className = `badge bg-${variant} message-badge`;
+        badge.textContent = label;
+        badge.title = title;
+        messageElement.querySelector('.timestamp')?.after(badge);
+        return badge;
+    }
+
+    /**
+     * Show the model's notes on a translation as an expandable note under the bubble
+     * @param {HTMLElement} messageElement - Translation message
+     * @param {Object} details - { detectedLanguage, confidence, notes, languageMismatch }
+     * @param {string} sourceLanguage - Language the text was assumed to be in
+     */
+    addTranslationNotes(messageElement, details, sourceLanguage) {
+        const hasNotes = details.notes.length > 0;
+        if (!hasNotes && !details.languageMismatch) return;
+
+        const container = document.createElement('details');
+        container.className = `translation-notes${details.languageMismatch ? ' mismatch' : ''}`;
+
+        const summary = document.createElement('summary');
+        const confidence = details.confidence !== null ? ` · ${Math.round(details.confidence * 100)}% confident` : '';
+        summary.textContent = details.languageMismatch
+            ? `⚠️ The model thinks this was ${this.getLanguageDisplayName(details.detectedLanguage)}, not ${this.getLanguageDisplayName(sourceLanguage)}${confidence}`
+            : `📝 ${details.notes.length} translator note${details.notes.length === 1 ? '' : 's'}${confidence}`;
+        container.appendChild(summary);
+
+        if (hasNotes) {
+            const list = document.createElement('ul');
+            details.notes.forEach(note => {
+                const item = document.createElement('li');
+                item.textContent = note;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+
+        messageElement.appendChild(container);
+    }
+
+    /**
+     * Add a "show alternatives" action to a finished translation bubble
+     * @param {HTMLElement} messageElement - Translation message
+     * @param {string} text - Source text
+     * @param {string} translation - Translation shown in the bubble
+     * @param {string} sourceLanguage - Source language code
+     * @param {string} targetLanguage - Target language code
+     */
+    addAlternativesButton(messageElement, text, translation, sourceLanguage, targetLanguage) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-link message-alternatives';
+        button.textContent = '💡 Alternatives';
+        button.title = 'Show other ways to translate this, with the nuance of each explained';
+        button.addEventListener('click', () => this.showAlternatives(messageElement, button, { text, translation, sourceLanguage, targetLanguage }));
+        messageElement.appendChild(button);
+    }
+
+    /**
+     * Fetch alternatives to a translation and list them under the bubble
+     * @param {HTMLElement} messageElement - Translation message
+     * @param {HTMLButtonElement} button - The alternatives action, disabled while loading
+     * @param {Object} request - { text, translation, sourceLanguage, targetLanguage }
+     */
+    async showAlternatives(messageElement, button, { text, translation, sourceLanguage, targetLanguage }) {
+        button.disabled = true;
+        button.textContent = '💡 Loading alternatives...';
+
+        const response = await this.alternativesService.getAlternatives({
+            text,
+            translation,
+            langCode1: sourceLanguage,
+            langCode2: targetLanguage,
+            sessionId: this.sessionId,
+            userId: this.authService.getCurrentUser()?.username,
+            sensitive: this.isConfidentialSession(),
+            ...this.getModelSelection()
+        });
+
+        const result = response.success && response.data?.success ? response.data.data : null;
+        if (!result) {
+            const message = response.data?.message || response.error || 'Unknown error';
+            console.error('Alternatives error:', message);
+            if (response.data?.code === 'PROVIDER_NOT_ALLOWED' || response.data?.code === 'MODEL_NOT_ALLOWED') {
+                this.loadModelOptions();
+            }
+            this.updateStatus(`Could not load alternatives: ${message}`, 'error');
+            button.disabled = false;
+            button.textContent = '💡 Alternatives';
+            return;
+        }
+
+        const container = document.createElement('details');
+        container.className = 'translation-alternatives';
+        container.open = true;
+        container.title = `${result.provider} (${result.model})`;
+
+        const summary = document.createElement('summary');
+        summary.textContent = `💡 ${result.alternatives.length} alternative${result.alternatives.length === 1 ? '' : 's'} in ${this.getLanguageDisplayName(targetLanguage)}`;
+        container.appendChild(summary);
+
+        const list = document.createElement('ul');
+        result.alternatives.forEach(alternative => {
+            const item = document.createElement('li');
+            const alternativeText = document.createElement('div');
+            alternativeText.className = 'alternative-text';
+            alternativeText.textContent = alternative.translation;
+            const explanation = document.createElement('div');
+            explanation.className = 'alternative-explanation';
+            explanation.textContent = alternative.explanation;
+            item.append(alternativeText, explanation);
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+
+        // Asked once per bubble; the list replaces the action and can be collapsed
+        button.remove();
+        messageElement.appendChild(container);
+    }
+
+    addCancelButton(messageElement, controller) {
+        if (!messageElement) return;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-link message-cancel';
+        button.textContent = '✖';
+        button.title = 'Cancel this translation';
+        button.addEventListener('click', () => controller.abort());
+        messageElement.appendChild(button);
+    }
+
+    markTranslationCancelled(messageElement) {
+        if (!messageElement) return;
+        messageElement.classList.remove('interim', 'loading');
+        messageElement.classList.add('final', 'cancelled');
+        messageElement.querySelector('.message-cancel')?.remove();
+        const textElement = messageElement.querySelector(':scope > .text');
+        if (textElement) {
+            textElement.classList.remove('typing');
+            if (!textElement.textContent.trim()) {
+                textElement.textContent = '⏹️ Translation cancelled';
+            }
+        }
+        this.addMessageBadge(messageElement, '⏹️ Cancelled', 'Cancelled before it finished; it will not be spoken', 'secondary');
+        this.updateStatus('Translation cancelled', 'info');
+    }
+
+    /**
+     * Abort every in-flight translation stream; the server stops the provider request when the client disconnects
+     */
+    cancelAllTranslations() {
+        this.activeTranslations.forEach(controller => controller.abort());
+        this.activeTranslations.clear();
+    }
+
     animateTextStreaming(textElement, newText) {
         // Store the target text on the element for reference
         if (!textElement.targetText) {
@@ -677,6 +1978,9 @@ class LLMInterpreter {
         // Clean up any ongoing typing animations before clearing
         this.cleanupTypingAnimations();
         
+        // A cleared chat starts a new conversation
+        this.resetConversation();
+        
         if (chatList) {
             chatList.innerHTML = `
                 <li class="empty-state text-muted fst-italic p-4">
@@ -988,7 +2292,31 @@ class LLMInterpreter {
         return finalResult;
     }
 
-    async translateStreamText(text, fromLang, toLang, onChunk) {
+    /**
+     * Stream a translation from the translateStream function
+     * @param {string} text - Text to translate
+     * @param {string} fromLang - Source language code
+     * @param {string} toLang - Target language code
+     * @param {Function} onChunk - Receives (accumulatedText, isDone)
+     * @param {Object} [options] - { context, onMeta, onQuality } prior conversation turns and callbacks for
+     * meta and quality events
+     * @returns {Promise<string>} Final translation
+     */
+    async translateStreamText(text, fromLang, toLang, onChunk, options = {}) {
+        // Linked to options.signal and tracked so stopping recognition can cancel every stream
+        const controller = new AbortController();
+        const abortFromCaller = () => controller.abort();
+        if (options.signal?.aborted) {
+            controller.abort();
+        }
+        options.signal?.addEventListener('abort', abortFromCaller, { once: true });
+        this.activeTranslations.add(controller);
+
+        let fullTranslation = '';
+        // Text of completed sentence segments, kept when a later segment fails over or is retried
+        let committedTranslation = '';
+        let isComplete = false;
+
         try {
             if (!text || text.trim().length === 0) {
                 throw new Error('Text cannot be empty');
@@ -1012,67 +2340,190 @@ class LLMInterpreter {
                 body: JSON.stringify({
                     text: text,
                     langCode1: fromLang,
-                    langCode2: toLang
-                })
+                    langCode2: toLang,
+                    sessionId: this.sessionId,
+                    userId: this.authService.getCurrentUser()?.username,
+                    formality: this.getFormality(),
+                    sensitive: this.isConfidentialSession(),
+                    context: options.context || [],
+                    structured: this.isStructuredModeEnabled(),
+                    ...this.getModelSelection()
+                }),
+                signal: controller.signal
             });
 
             if (!response.ok) {
-                throw new Error(`Translation service error: ${response.status} ${response.statusText}`);
+                const body = await response.json().catch(() => ({}));
+                // The selected model is no longer allowed: refresh the dropdown
+                if (body.code === 'PROVIDER_NOT_ALLOWED' || body.code === 'MODEL_NOT_ALLOWED') {
+                    this.loadModelOptions();
+                }
+                throw new Error(body.error || `Translation service error: ${response.status} ${response.statusText}`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let fullTranslation = '';
-            let buffer = '';
-
-            // Process real streaming data as it arrives
-            while (true) {
-                const { value, done } = await reader.read();
-                if (done) break;
-
-                // Decode the chunk and add to buffer
-                const chunk = decoder.decode(value, { stream: true });
-                buffer += chunk;
-
-                // Process complete lines from buffer
-                const lines = buffer.split('\n');
-                // Keep the last incomplete line in buffer
-                buffer = lines.pop() || '';
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ') && line !== 'data: [DONE]') {
-                        try {
-                            const data = JSON.parse(line.substring(6));
-                            
-                            if (data.chunk !== undefined && !data.complete) {
-                                // Real-time streaming: accumulate chunks properly
-                                fullTranslation += data.chunk;
-                                if (onChunk && data.chunk.length > 0) {
-                                    // Pass the complete accumulated text for proper display
-                                    onChunk(fullTranslation, false);
-                                }
-                            } else if (data.complete) {
-                                // Final completion signal
-                                if (onChunk) {
-                                    onChunk(fullTranslation, true);
-                                }
-                                break;
-                            } else if (data.error) {
-                                throw new Error(data.message || 'Translation failed');
+            // Process typed stream events as they arrive
+            for await (const message of readSSE(response)) {
+                let payload;
+                try {
+                    payload = JSON.parse(message.data);
+                } catch (parseError) {
+                    console.warn('Failed to parse SSE data:', parseError);
+                    continue;
+                }
+
+                switch (message.event) {
+                    case 'delta':
+                        fullTranslation += payload.text;
+                        if (onChunk && payload.text.length > 0) {
+                            onChunk(fullTranslation, false);
+                        }
+                        break;
+
+                    case 'done':
+                        // The done event carries the authoritative full text
+                        fullTranslation = payload.text ?? fullTranslation;
+                        isComplete = true;
+                        if (this.lastRoutingDecision && payload.provider) {
+                            this.lastRoutingDecision = { ...this.lastRoutingDecision, provider: payload.provider, promptVersion: payload.promptVersion };
+                        }
+                        if (onChunk) {
+                            onChunk(fullTranslation, true);
+                        }
+                        break;
+
+                    case 'meta':
+                        this.handleTranslationMeta(payload);
+                        if (options.onMeta) {
+                            options.onMeta(payload);
+                        }
+                        // The server is retrying an output that answered instead of translating
+                        if (payload.kind === 'validation' && payload.action === 'retry' && fullTranslation.length > committedTranslation.length) {
+                            fullTranslation = committedTranslation;
+                            if (onChunk) {
+                                onChunk(fullTranslation, false);
+                            }
+                        }
+                        break;
+
+                    case 'usage':
+                        console.log('Translation usage:', payload);
+                        this.recordSessionUsage(payload);
+                        break;
+
+                    case 'providerSwitched': {
+                        // Failover: discard partial text from the failed provider
+                        const { from, to, reason } = payload;
+                        console.warn(`Translation provider switched from ${from} to ${to}: ${reason}`);
+                        this.updateStatus(`🔁 ${from} failed, switching to ${to}...`, 'warning');
+                        if (this.lastRoutingDecision) {
+                            this.lastRoutingDecision = { ...this.lastRoutingDecision, provider: to, reason: `failover from ${from}` };
+                        }
+                        if (fullTranslation.length > committedTranslation.length) {
+                            fullTranslation = committedTranslation;
+                            if (onChunk) {
+                                onChunk(fullTranslation, false);
                             }
-                        } catch (parseError) {
-                            console.warn('Failed to parse SSE data:', parseError);
                         }
+                        break;
                     }
+
+                    case 'segment':
+                        // A sentence of a long input is final and can be spoken before the rest arrives
+                        committedTranslation = fullTranslation;
+                        if (options.onSegment) {
+                            options.onSegment(payload);
+                        }
+                        break;
+
+                    case 'notes':
+                        // Structured mode: the model's detected language, confidence and notes, right after done
+                        console.log('Translation notes:', payload);
+                        if (options.onNotes) {
+                            options.onNotes(payload);
+                        }
+                        break;
+
+                    case 'quality':
+                        // Optional estimate that arrives after done; the stream closes right after it
+                        console.log('Translation quality:', payload);
+                        if (options.onQuality) {
+                            options.onQuality(payload);
+                        }
+                        break;
+
+                    case 'error':
+                        throw new Error(payload.message || 'Translation failed');
+
+                    default:
+                        console.warn(`Unknown translation stream event: ${message.event}`);
                 }
             }
 
+            if (!isComplete) {
+                throw new Error('Translation stream ended unexpectedly');
+            }
+
             this.updateStatus('Streaming translation completed', 'success');
             return fullTranslation;
 
         } catch (error) {
-            this.updateStatus(`Streaming translation failed: ${error.message}`, 'error');
+            if (controller.signal.aborted) {
+                // Cancelled while only the optional quality estimate was pending: the translation stands
+                if (isComplete) {
+                    return fullTranslation;
+                }
+                this.updateStatus('Streaming translation cancelled', 'info');
+            } else {
+                this.updateStatus(`Streaming translation failed: ${error.message}`, 'error');
+            }
             throw error;
+        } finally {
+            options.signal?.removeEventListener('abort', abortFromCaller);
+            this.activeTranslations.delete(controller);
+        }
+    }
+
+    getRoutingTitle(decision) {
+        const prompt = decision.promptVersion ? ` (prompt ${decision.promptVersion})` : '';
+        return `${decision.provider}: ${decision.reason}${prompt}`;
+    }
+
+    handleTranslationMeta(meta) {
+        if (meta.kind === 'routing') {
+            // Evaluation Layer decision: which provider was picked and why
+            this.lastRoutingDecision = meta;
+            console.log('Translation routing decision:', meta);
+            const skipped = meta.openCircuits?.length > 0 ? ` (skipping unhealthy ${meta.openCircuits.join(', ')})` : '';
+            this.updateStatus(`🧭 Routed to ${meta.provider}: ${meta.reason}${skipped}`, 'loading');
+        } else if (meta.kind === 'validation') {
+            console.warn('Translation output failed validation:', meta);
+            const action = meta.action === 'retry' ? 'retrying' : 'flagged';
+            this.updateStatus(`🛡️ Output did not look like a translation (${meta.reasons.join(', ')}), ${action}`, 'warning');
+        } else if (meta.kind === 'cache') {
+            console.log('Translation served from cache:', meta);
+            this.updateStatus(`⚡ Using cached ${meta.provider} translation`, 'loading');
+        } else if (meta.kind === 'segmentation') {
+            this.updateStatus(`🧩 Translating ${meta.count} sentences in parallel...`, 'loading');
+        } else {
+            console.log('Translation meta:', meta);
+        }
+    }
+
+    async speakTranslation(text, targetLanguage) {
+        try {
+            await this.initializeTextToSpeech();
+            const recommendedVoices = await this.textToSpeechService.getRecommendedVoices(targetLanguage, 1);
+            const voiceName = recommendedVoices.length > 0 ? recommendedVoices[0].shortName : undefined;
+
+            console.log(`TTS: Speaking translated text (${text.length} chars): "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+
+            this.textToSpeechService.speakQueued(text || '', {
+                language: targetLanguage,
+                voice: voiceName
+            });
+        } catch (ttsError) {
+            console.warn('Failed to speak translated text:', ttsError);
+            // Don't break the translation flow for TTS errors
         }
     }
 
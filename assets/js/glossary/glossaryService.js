@@ -0,0 +1,53 @@
+import APIService from '../api/apiService.js';
+
+/**
+ * Glossary Service
+ * Handles all API calls related to translation glossaries
+ */
+class GlossaryService {
+    constructor() {
+        this.apiService = new APIService();
+    }
+
+    /**
+     * Get the combined user and session glossary
+     * @param {string|null} userId - Username of the signed in user
+     * @param {string|null} sessionId - Interpreter session id
+     * @returns {Promise<Object>} Response object with data.entries
+     */
+    async getEntries(userId, sessionId) {
+        const params = new URLSearchParams();
+        if (userId) params.set('userId', userId);
+        if (sessionId) params.set('sessionId', sessionId);
+        return await this.apiService.get(`getGlossary?${params.toString()}`);
+    }
+
+    /**
+     * Save a glossary entry
+     * @param {string} scope - 'user' or 'session'
+     * @param {string} owner - Username or session id
+     * @param {Object} entry - { sourceTerm, targetTerm, sourceLang, targetLang, keepOriginal }
+     * @returns {Promise<Object>} Response object with data.entry
+     */
+    async saveEntry(scope, owner, entry) {
+        return await this.apiService.post('saveGlossaryEntry', { scope, owner, entry });
+    }
+
+    /**
+     * Delete a glossary entry
+     * @param {string} scope - 'user' or 'session'
+     * @param {string} owner - Username or session id
+     * @param {string} id - Entry id
+     * @returns {Promise<Object>} Response object
+     */
+    async deleteEntry(scope, owner, id) {
+        return await this.apiService.post('deleteGlossaryEntry', { scope, owner, id });
+    }
+}
+
+export default GlossaryService;
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GlossaryService;
+}
@@ -0,0 +1,29 @@
+import APIService from '../api/apiService.js';
+
+/**
+ * Language Identification Service
+ * Handles API calls that identify the language of recognized text when speech detection is missing or unexpected
+ */
+class LanguageIdentificationService {
+    constructor() {
+        this.apiService = new APIService();
+    }
+
+    /**
+     * Identify which candidate language a text is in
+     * @param {string} text - Recognized text
+     * @param {string[]} candidates - Language codes to choose from
+     * @param {Object} options - { sensitive, userId }; sensitive keeps confidential text off cloud models, userId owns the recorded usage
+     * @returns {Promise<Object>} Response object with data.language, data.confidence, data.threshold and data.lowConfidence
+     */
+    async identify(text, candidates, { sensitive = false, userId } = {}) {
+        return await this.apiService.post('identifyLanguage', { text, candidates, sensitive, userId });
+    }
+}
+
+export default LanguageIdentificationService;
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LanguageIdentificationService;
+}
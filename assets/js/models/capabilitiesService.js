@@ -0,0 +1,27 @@
+import APIService from '../api/apiService.js';
+
+/**
+ * Capabilities Service
+ * Handles API calls for the configured LLM providers and the models a client may select
+ */
+class CapabilitiesService {
+    constructor() {
+        this.apiService = new APIService();
+    }
+
+    /**
+     * Get the configured providers with their allowed models
+     * @param {Object} options - { sensitive } lists self-hosted providers only
+     * @returns {Promise<Object>} Response object with data.providers ({ name, defaultModel, models, capabilities })
+     */
+    async getCapabilities({ sensitive = false } = {}) {
+        return await this.apiService.get(`getCapabilities${sensitive ? '?sensitive=true' : ''}`);
+    }
+}
+
+export default CapabilitiesService;
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CapabilitiesService;
+}
@@ -85,7 +85,8 @@ class SpeechToTextService {
             if (e.result.reason === SpeechSDK.ResultReason.RecognizingSpeech) {
                 console.log(`RECOGNIZING: Text=${e.result.text}`);
                 if (this.onResult) {
-                    this.onResult(e.result.text, false, null); // Interim result, no language detection yet
+                    // Interim result; continuous language ID may already report the language
+                    this.onResult(e.result.text, false, e.result.language || null);
                 }
             }
         };
@@ -0,0 +1,31 @@
+import APIService from '../api/apiService.js';
+
+/**
+ * Usage Service
+ * Handles API calls for aggregated LLM token usage and cost
+ */
+class UsageService {
+    constructor() {
+        this.apiService = new APIService();
+    }
+
+    /**
+     * Get usage aggregated per day, user and provider
+     * @param {Object} filters - { userId, provider, from, to } (dates as YYYY-MM-DD)
+     * @returns {Promise<Object>} Response object with data.rows, data.totals and data.prices
+     */
+    async getUsage(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return await this.apiService.get(`getUsage?${params.toString()}`);
+    }
+}
+
+export default UsageService;
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UsageService;
+}
@@ -0,0 +1,53 @@
+/**
+ * Static data used by the Evaluation Layer to classify utterances
+ * before they are routed to an LLM.
+ */
+
+// Keyword lists per domain. Matching is case-insensitive on word boundaries.
+export const domainKeywords = {
+    medical: [
+        'doctor', 'nurse', 'hospital', 'medicine', 'medication', 'prescription', 'symptom', 'symptoms',
+        'diagnosis', 'allergy', 'allergic', 'pain', 'surgery', 'dose', 'dosage', 'blood', 'pregnant',
+        'médico', 'hospital', 'medicamento', 'dolor', 'läkare', 'sjukhus', 'medicin', 'arzt', 'krankenhaus'
+    ],
+    legal: [
+        'contract', 'lawyer', 'attorney', 'court', 'judge', 'lawsuit', 'liability', 'clause', 'agreement',
+        'signature', 'witness', 'evidence', 'custody', 'visa', 'permit', 'contrato', 'abogado', 'avtal',
+        'advokat', 'domstol', 'vertrag', 'anwalt', 'gericht'
+    ],
+    technical: [
+        'server', 'database', 'deploy', 'deployment', 'api', 'endpoint', 'bug', 'release', 'branch',
+        'repository', 'latency', 'function', 'configuration', 'config', 'kubernetes', 'cloud', 'token',
+        'servidor', 'servern', 'datenbank'
+    ],
+    financial: [
+        'invoice', 'payment', 'budget', 'revenue', 'tax', 'taxes', 'interest', 'loan', 'mortgage',
+        'salary', 'refund', 'factura', 'pago', 'faktura', 'betalning', 'rechnung', 'zahlung'
+    ]
+};
+
+// Common idiomatic phrases that tend to be translated literally by weaker models
+export const idiomPhrases = [
+    // English
+    'break a leg', 'piece of cake', 'under the weather', 'hit the sack', 'spill the beans',
+    'cost an arm and a leg', 'once in a blue moon', 'the ball is in your court', 'bite the bullet',
+    'beat around the bush', 'call it a day', 'let the cat out of the bag', 'on the fence',
+    'raining cats and dogs', 'kill two birds with one stone', 'hit the nail on the head',
+    // Spanish
+    'estar en las nubes', 'costar un ojo de la cara', 'tomar el pelo', 'ser pan comido', 'meter la pata',
+    // Swedish
+    'ingen ko på isen', 'glida in på en räkmacka', 'det är ingen fara på taket', 'slå två flugor i en smäll',
+    // German
+    'ich verstehe nur bahnhof', 'tomaten auf den augen', 'das ist nicht mein bier', 'die daumen drücken',
+    // French
+    'coûter les yeux de la tête', 'avoir le cafard', 'poser un lapin', 'tomber dans les pommes'
+];
+
+// Language prefixes for which we prefer models with stronger non-Latin script coverage
+export const complexScriptLanguages = ['ja', 'ko', 'zh', 'th', 'ar', 'he', 'hi'];
+
+// Word count thresholds used to bucket utterance length
+export const lengthThresholds = {
+    short: 3,
+    long: 12
+};
@@ -0,0 +1,43 @@
+/**
+ * Language profiles for heuristic language identification.
+ *
+ * Keyed by base language code. `script` is the Unicode script the language is written in;
+ * `words` are frequent function words and `chars` are letters that are typical for the language
+ * among those sharing its script. Languages without a profile are only matched by script.
+ */
+export const languageProfiles = {
+    en: { script: 'Latin', words: ['the', 'and', 'is', 'are', 'you', 'that', 'of', 'to', 'in', 'it', 'this', 'have', 'what', 'with', 'for', 'not', 'we', 'was', 'do', 'can'], chars: '' },
+    es: { script: 'Latin', words: ['el', 'la', 'los', 'las', 'que', 'de', 'y', 'es', 'en', 'un', 'una', 'por', 'con', 'para', 'no', 'está', 'muy', 'pero', 'como', 'yo'], chars: 'ñ¿¡áéíóú' },
+    fr: { script: 'Latin', words: ['le', 'la', 'les', 'des', 'et', 'est', 'un', 'une', 'je', 'vous', 'nous', 'que', 'pas', 'pour', 'avec', 'dans', 'ce', 'il', 'elle', 'sur'], chars: 'çàèêëîïôûœ' },
+    de: { script: 'Latin', words: ['der', 'die', 'das', 'und', 'ist', 'ich', 'nicht', 'sie', 'es', 'ein', 'eine', 'zu', 'mit', 'auf', 'wir', 'auch', 'den', 'dem', 'sind', 'haben'], chars: 'ßäöü' },
+    it: { script: 'Latin', words: ['il', 'la', 'che', 'di', 'e', 'è', 'non', 'un', 'una', 'per', 'con', 'sono', 'questo', 'come', 'ma', 'lo', 'gli', 'della', 'anche', 'io'], chars: 'àèìòù' },
+    pt: { script: 'Latin', words: ['o', 'a', 'os', 'as', 'que', 'de', 'e', 'é', 'não', 'um', 'uma', 'para', 'com', 'em', 'do', 'da', 'você', 'está', 'mas', 'eu'], chars: 'ãõçâêô' },
+    nl: { script: 'Latin', words: ['de', 'het', 'een', 'en', 'is', 'niet', 'ik', 'je', 'dat', 'van', 'op', 'te', 'zijn', 'met', 'voor', 'wij', 'maar', 'ook', 'er', 'dit'], chars: 'ĳ' },
+    sv: { script: 'Latin', words: ['och', 'att', 'det', 'är', 'jag', 'en', 'ett', 'som', 'på', 'inte', 'med', 'för', 'har', 'du', 'vi', 'till', 'den', 'av', 'kan', 'hur'], chars: 'åäö' },
+    da: { script: 'Latin', words: ['og', 'at', 'det', 'er', 'jeg', 'en', 'et', 'som', 'på', 'ikke', 'med', 'for', 'har', 'du', 'vi', 'til', 'den', 'af', 'kan', 'hvad'], chars: 'æøå' },
+    no: { script: 'Latin', words: ['og', 'å', 'det', 'er', 'jeg', 'en', 'et', 'som', 'på', 'ikke', 'med', 'for', 'har', 'du', 'vi', 'til', 'den', 'av', 'kan', 'hva'], chars: 'æøå' },
+    fi: { script: 'Latin', words: ['ja', 'on', 'ei', 'se', 'että', 'minä', 'sinä', 'hän', 'me', 'he', 'tämä', 'mutta', 'kun', 'niin', 'kuin', 'olen', 'oli', 'mitä', 'myös', 'vain'], chars: 'äö' },
+    pl: { script: 'Latin', words: ['i', 'w', 'nie', 'na', 'się', 'jest', 'to', 'że', 'z', 'do', 'jak', 'ale', 'co', 'ja', 'ty', 'tak', 'po', 'mnie', 'dla', 'czy'], chars: 'ąćęłńóśźż' },
+    cs: { script: 'Latin', words: ['a', 'je', 'to', 'v', 'na', 'se', 'že', 'ne', 's', 'jsem', 'jak', 'ale', 'co', 'já', 'ty', 'tak', 'pro', 'mi', 'by', 'už'], chars: 'ěščřžýůú' },
+    tr: { script: 'Latin', words: ['ve', 'bir', 'bu', 'da', 'de', 'için', 'ne', 'ben', 'sen', 'var', 'yok', 'çok', 'ama', 'gibi', 'mi', 'değil', 'olarak', 'daha', 'şey', 'nasıl'], chars: 'ıİşğçöü' },
+    ro: { script: 'Latin', words: ['și', 'în', 'de', 'la', 'nu', 'este', 'un', 'o', 'că', 'cu', 'pe', 'pentru', 'sunt', 'eu', 'tu', 'dar', 'ce', 'mai', 'din', 'să'], chars: 'ăâîșț' },
+    hu: { script: 'Latin', words: ['a', 'az', 'és', 'hogy', 'nem', 'egy', 'is', 'van', 'meg', 'én', 'te', 'de', 'ez', 'mi', 'csak', 'már', 'még', 'vagy', 'kell', 'volt'], chars: 'őűáéíóú' },
+    vi: { script: 'Latin', words: ['và', 'là', 'của', 'có', 'không', 'tôi', 'bạn', 'một', 'này', 'được', 'cho', 'với', 'các', 'những', 'người', 'đã', 'rất', 'khi', 'như', 'thì'], chars: 'ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ' },
+    ru: { script: 'Cyrillic', words: ['и', 'в', 'не', 'на', 'я', 'что', 'он', 'с', 'это', 'как', 'а', 'по', 'но', 'они', 'мы', 'вы', 'так', 'его', 'все', 'она'], chars: 'ыэъё' },
+    uk: { script: 'Cyrillic', words: ['і', 'в', 'не', 'на', 'я', 'що', 'він', 'з', 'це', 'як', 'а', 'по', 'але', 'вони', 'ми', 'ви', 'так', 'його', 'все', 'вона'], chars: 'іїєґ' },
+    bg: { script: 'Cyrillic', words: ['и', 'в', 'не', 'на', 'аз', 'че', 'той', 'с', 'това', 'как', 'а', 'по', 'но', 'те', 'ние', 'вие', 'така', 'да', 'се', 'тя'], chars: 'ъ' },
+    ja: { script: 'Japanese', words: [], chars: '' },
+    zh: { script: 'Han', words: [], chars: '' },
+    ko: { script: 'Hangul', words: [], chars: '' },
+    ar: { script: 'Arabic', words: [], chars: '' },
+    he: { script: 'Hebrew', words: [], chars: '' },
+    th: { script: 'Thai', words: [], chars: '' },
+    hi: { script: 'Devanagari', words: [], chars: '' }
+};
+
+// Unicode script of every language in the language map that has no profile above
+export const languageScripts = {
+    be: 'Cyrillic',
+    mk: 'Cyrillic',
+    sr: 'Cyrillic'
+};
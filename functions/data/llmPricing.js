@@ -0,0 +1,13 @@
+/**
+ * Default LLM price table used for usage cost accounting.
+ * Prices are in USD per 1 million tokens. Override or extend them with the
+ * LLM_PRICE_TABLE environment variable (JSON with the same shape).
+ */
+export const defaultPriceTable = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+    'gpt-5-mini': { input: 0.25, output: 2.00 },
+    'claude-haiku-4-5': { input: 1.00, output: 5.00 },
+    // Offline mock provider (MOCK_LLM=true)
+    'mock-1': { input: 0, output: 0 }
+};
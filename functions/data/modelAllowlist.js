@@ -0,0 +1,14 @@
+/**
+ * Models a client may select per provider.
+ * The model a provider is configured with (e.g. GEMINI_MODEL) is always allowed as well.
+ * Extend the lists with the LLM_MODEL_ALLOWLIST environment variable (JSON with the same shape):
+ * its models are added to each provider's list, never replace it, so defaults cannot be removed.
+ */
+export const defaultModelAllowlist = {
+    gemini: ['gemini-2.0-flash', 'gemini-2.0-flash-lite'],
+    openai: ['gpt-5-mini'],
+    anthropic: ['claude-haiku-4-5'],
+    local: [],
+    mock: ['mock-1'],
+    'mock-backup': ['mock-1']
+};
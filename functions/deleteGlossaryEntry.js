@@ -0,0 +1,74 @@
+import glossaryService from './services/glossaryService.js';
+
+// Body: { scope: 'user' | 'session', owner: <username or session id>, id: <entry id> }
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'Invalid JSON in request body' })
+            };
+        }
+
+        const { scope, owner, id } = requestData;
+        if (!glossaryService.getScopeKey(scope, owner) || !id) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'scope, owner and id are required' })
+            };
+        }
+
+        const removed = await glossaryService.deleteEntry(scope, owner, id);
+        if (!removed) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({ success: false, message: 'Glossary entry not found' })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, message: 'Glossary entry deleted' })
+        };
+
+    } catch (error) {
+        console.error('Delete glossary entry error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Internal server error' })
+        };
+    }
+}
@@ -0,0 +1,73 @@
+import comparisonVoteService from './services/comparisonVoteService.js';
+
+// How to pass query params (all optional, format defaults to json):
+// http://localhost:8888/.netlify/functions/exportComparisonVotes?format=csv&langCode1=en-US&langCode2=es-ES&userId=kay
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const { format = 'json', langCode1, langCode2, userId } = event.queryStringParameters || {};
+
+        if (!['json', 'csv'].includes(format)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: "format must be 'json' or 'csv'" })
+            };
+        }
+
+        const votes = await comparisonVoteService.listVotes({ langCode1, langCode2, userId });
+
+        if (format === 'csv') {
+            return {
+                statusCode: 200,
+                headers: {
+                    ...headers,
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': 'attachment; filename="comparison-votes.csv"'
+                },
+                body: comparisonVoteService.toCsv(votes)
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Comparison votes exported successfully',
+                data: { votes, summary: comparisonVoteService.summarize(votes) }
+            })
+        };
+
+    } catch (error) {
+        console.error('Export comparison votes error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Internal server error' })
+        };
+    }
+}
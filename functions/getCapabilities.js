@@ -0,0 +1,61 @@
+import LLMProviderRegistry from './services/llm/llmProviderRegistry.js';
+import { getAllowedModels } from './services/llm/modelSelection.js';
+
+// Lists the configured providers and the models a client may select for translateStream.
+// http://localhost:8888/.netlify/functions/getCapabilities?sensitive=true (optional: self-hosted providers only)
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const { sensitive } = event.queryStringParameters || {};
+        const registry = new LLMProviderRegistry();
+        const allowedModels = getAllowedModels(registry, { localOnly: sensitive === 'true' });
+
+        const providers = Object.entries(allowedModels).map(([name, models]) => ({
+            name,
+            defaultModel: registry.getProvider(name).getModel(),
+            models,
+            capabilities: registry.getProvider(name).getCapabilities()
+        }));
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Capabilities retrieved successfully',
+                data: { providers }
+            })
+        };
+
+    } catch (error) {
+        console.error('Get capabilities error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Internal server error' })
+        };
+    }
+}
@@ -0,0 +1,61 @@
+import glossaryService from './services/glossaryService.js';
+
+// How to pass query params:
+// http://localhost:8888/.netlify/functions/getGlossary?userId=kay&sessionId=<session id>
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const { userId, sessionId } = event.queryStringParameters || {};
+
+        if (!userId && !sessionId) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'userId or sessionId is required' })
+            };
+        }
+
+        const entries = await glossaryService.getEntriesFor({ userId, sessionId });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Glossary retrieved successfully',
+                data: { entries }
+            })
+        };
+
+    } catch (error) {
+        console.error('Get glossary error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Internal server error' })
+        };
+    }
+}
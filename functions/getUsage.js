@@ -0,0 +1,62 @@
+import usageService from './services/usageService.js';
+
+// How to pass query params (all optional):
+// http://localhost:8888/.netlify/functions/getUsage?userId=kay&provider=gemini&from=2025-01-01&to=2025-01-31
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const { userId, provider, from, to } = event.queryStringParameters || {};
+
+        const isDate = (value) => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+        if (!isDate(from) || !isDate(to)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'from and to must be dates in YYYY-MM-DD format' })
+            };
+        }
+
+        const { rows, totals } = await usageService.getUsage({ userId, provider, from, to });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Usage retrieved successfully',
+                data: { rows, totals, prices: usageService.getPriceTable() }
+            })
+        };
+
+    } catch (error) {
+        console.error('Get usage error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Internal server error' })
+        };
+    }
+}
@@ -0,0 +1,106 @@
+import languageService from './services/languageService.js';
+import usageService from './services/usageService.js';
+import { createLanguageIdentifier, getLanguageIdThreshold } from './services/llm/languageIdentificationService.js';
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_CANDIDATES = 10;
+
+// Body: { text, candidates: ['en-US', 'sv-SE'], sensitive, userId }
+// Without candidates every supported language is considered.
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'Invalid JSON in request body' })
+            };
+        }
+
+        const text = typeof requestData.text === 'string' ? requestData.text.trim().substring(0, MAX_TEXT_LENGTH) : '';
+        if (!text) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'text is required' })
+            };
+        }
+
+        const candidates = Array.isArray(requestData.candidates) && requestData.candidates.length > 0
+            ? [...new Set(requestData.candidates.filter(code => typeof code === 'string' && languageService.isSupported(code)))].slice(0, MAX_CANDIDATES)
+            : languageService.getSupportedCodes();
+
+        if (candidates.length === 0) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'candidates must contain supported language codes' })
+            };
+        }
+
+        // Confidential text is never sent to a cloud model
+        const identifier = createLanguageIdentifier({ localOnly: requestData.sensitive === true });
+        const usageTasks = [];
+        const identification = await identifier.identify(text, candidates, {
+            // A model identifier spends tokens, so its usage is recorded like a translation's
+            onUsage: (event) => {
+                const usage = { ...event, purpose: 'languageId', costUsd: usageService.calculateCost(event) };
+                usageTasks.push(usageService.recordUsage(usage, { userId: requestData.userId })
+                    .catch(error => console.error('Failed to record usage:', error)));
+            }
+        });
+        await Promise.all(usageTasks);
+        const threshold = getLanguageIdThreshold();
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Language identified',
+                data: {
+                    ...identification,
+                    candidates,
+                    threshold,
+                    lowConfidence: !identification.language || identification.confidence < threshold
+                }
+            })
+        };
+
+    } catch (error) {
+        console.error('Identify language error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: error.message || 'Internal server error' })
+        };
+    }
+}
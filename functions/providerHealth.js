@@ -0,0 +1,53 @@
+import LLMProviderRegistry from './services/llm/llmProviderRegistry.js';
+import providerHealthService, { getBreakerSettings } from './services/llm/providerHealthService.js';
+
+// Reports each provider's circuit breaker state and recent error rate.
+// http://localhost:8888/.netlify/functions/providerHealth
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const registry = new LLMProviderRegistry();
+        const providers = await providerHealthService.getReport(registry.getAvailableProviders());
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Provider health retrieved successfully',
+                data: { providers, settings: getBreakerSettings() }
+            })
+        };
+
+    } catch (error) {
+        console.error('Provider health error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Internal server error' })
+        };
+    }
+}
@@ -0,0 +1,72 @@
+import comparisonVoteService from './services/comparisonVoteService.js';
+
+// Body: { comparisonId, text, langCode1, langCode2, winner: <provider> | 'tie', userId, sessionId,
+//         candidates: [{ provider, model, promptVersion, translation }] }
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'Invalid JSON in request body' })
+            };
+        }
+
+        const { vote, error } = comparisonVoteService.validateVote(requestData);
+        if (error) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: error })
+            };
+        }
+
+        const storedVote = await comparisonVoteService.addVote(vote);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Comparison vote saved',
+                data: { vote: storedVote }
+            })
+        };
+
+    } catch (error) {
+        console.error('Save comparison vote error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: error.message || 'Internal server error' })
+        };
+    }
+}
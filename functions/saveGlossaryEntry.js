@@ -0,0 +1,88 @@
+import glossaryService, { GlossaryLimitError } from './services/glossaryService.js';
+
+// Body: { scope: 'user' | 'session', owner: <username or session id>, entry: { sourceTerm, targetTerm, sourceLang, targetLang, keepOriginal } }
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'Invalid JSON in request body' })
+            };
+        }
+
+        const { scope, owner } = requestData;
+        if (!glossaryService.getScopeKey(scope, owner)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: "scope must be 'user' or 'session' and owner is required" })
+            };
+        }
+
+        const { entry, error } = glossaryService.validateEntry(requestData.entry);
+        if (error) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: error })
+            };
+        }
+
+        const storedEntry = await glossaryService.addEntry(scope, owner, entry);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Glossary entry saved',
+                data: { entry: { ...storedEntry, scope } }
+            })
+        };
+
+    } catch (error) {
+        if (error instanceof GlossaryLimitError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: error.message })
+            };
+        }
+
+        console.error('Save glossary entry error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: error.message || 'Internal server error' })
+        };
+    }
+}
@@ -0,0 +1,149 @@
+import { randomUUID } from 'crypto';
+import JsonFileStore from './storage/jsonFileStore.js';
+
+/**
+ * Comparison Vote Service
+ * Stores votes from the interpreter's side-by-side comparison mode: the utterance, language pair,
+ * every candidate (provider, model, prompt version, output) and which one was better.
+ * Votes from confidential sessions keep only the providers, models and winner, never the text.
+ */
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_VOTES = 10000;
+const TIE = 'tie';
+
+// Source texts and translations come from users; a leading =, +, -, @, tab or CR would make
+// spreadsheets evaluate the cell as a formula, so such cells are prefixed with '
+function csvCell(value) {
+  const raw = value == null ? '' : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ComparisonVoteService {
+  constructor() {
+    this.store = new JsonFileStore('comparisonVotes', []);
+  }
+
+  /**
+   * Validate and normalize a vote coming from the client
+   * @param {Object} vote - { comparisonId, text, langCode1, langCode2, candidates, winner, userId, sessionId, sensitive }
+   * @returns {{vote: Object|null, error: string|null}} Normalized vote or a validation error
+   */
+  validateVote(vote) {
+    const confidential = vote?.sensitive === true;
+    const text = typeof vote?.text === 'string' ? vote.text.trim() : '';
+    if ((!text && !confidential) || !vote?.langCode1 || !vote.langCode2) {
+      return { vote: null, error: 'text, langCode1 and langCode2 are required' };
+    }
+
+    const candidates = Array.isArray(vote.candidates)
+      ? vote.candidates
+        .filter(candidate => candidate && typeof candidate.provider === 'string' && (confidential || typeof candidate.translation === 'string'))
+        .map(candidate => ({
+          provider: candidate.provider,
+          model: typeof candidate.model === 'string' ? candidate.model : null,
+          promptVersion: typeof candidate.promptVersion === 'string' ? candidate.promptVersion : null,
+          translation: confidential ? null : candidate.translation.substring(0, MAX_TEXT_LENGTH)
+        }))
+      : [];
+
+    if (candidates.length < 2) {
+      return { vote: null, error: 'At least two candidates are required' };
+    }
+    if (vote.winner !== TIE && !candidates.some(candidate => candidate.provider === vote.winner)) {
+      return { vote: null, error: "winner must be one of the candidates' providers or 'tie'" };
+    }
+
+    return {
+      vote: {
+        comparisonId: typeof vote.comparisonId === 'string' ? vote.comparisonId.substring(0, 100) : null,
+        text: confidential ? null : text.substring(0, MAX_TEXT_LENGTH),
+        langCode1: String(vote.langCode1),
+        langCode2: String(vote.langCode2),
+        candidates,
+        winner: vote.winner,
+        userId: typeof vote.userId === 'string' ? vote.userId.substring(0, 100) : null,
+        sessionId: typeof vote.sessionId === 'string' ? vote.sessionId.substring(0, 100) : null,
+        ...(confidential && { sensitive: true })
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Store a vote; voting again on the same comparison replaces the earlier vote
+   * @param {Object} vote - Normalized vote
+   * @returns {Promise<Object>} Stored vote
+   */
+  async addVote(vote) {
+    const storedVote = { id: randomUUID(), ...vote, createdAt: new Date().toISOString() };
+
+    await this.store.update(votes => [
+      ...votes.filter(existing => !vote.comparisonId || existing.comparisonId !== vote.comparisonId),
+      storedVote
+    ].slice(-MAX_VOTES));
+
+    return storedVote;
+  }
+
+  /**
+   * List votes, oldest first
+   * @param {Object} filters - { langCode1, langCode2, userId }
+   * @returns {Promise<Array>} Votes
+   */
+  async listVotes({ langCode1, langCode2, userId } = {}) {
+    const votes = await this.store.read();
+    return votes
+      .filter(vote => !langCode1 || vote.langCode1 === langCode1)
+      .filter(vote => !langCode2 || vote.langCode2 === langCode2)
+      .filter(vote => !userId || vote.userId === userId);
+  }
+
+  /**
+   * Count wins per language pair and provider/model
+   * @param {Array} votes - Votes
+   * @returns {Array<{languagePair: string, provider: string, model: string|null, wins: number, comparisons: number}>} Summary rows
+   */
+  summarize(votes) {
+    const rows = new Map();
+
+    for (const vote of votes) {
+      const languagePair = `${vote.langCode1}->${vote.langCode2}`;
+      for (const candidate of vote.candidates) {
+        const key = `${languagePair}|${candidate.provider}|${candidate.model}`;
+        const row = rows.get(key) || { languagePair, provider: candidate.provider, model: candidate.model, wins: 0, ties: 0, comparisons: 0 };
+        row.comparisons += 1;
+        if (vote.winner === candidate.provider) row.wins += 1;
+        if (vote.winner === TIE) row.ties += 1;
+        rows.set(key, row);
+      }
+    }
+
+    return [...rows.values()].sort((a, b) => a.languagePair.localeCompare(b.languagePair) || b.wins - a.wins);
+  }
+
+  /**
+   * Flatten votes to CSV, one row per candidate
+   * @param {Array} votes - Votes
+   * @returns {string} CSV document
+   */
+  toCsv(votes) {
+    const header = ['voteId', 'createdAt', 'comparisonId', 'userId', 'langCode1', 'langCode2', 'text', 'provider', 'model', 'promptVersion', 'translation', 'winner', 'isWinner'];
+    const lines = [header.join(',')];
+
+    for (const vote of votes) {
+      for (const candidate of vote.candidates) {
+        lines.push([
+          vote.id, vote.createdAt, vote.comparisonId, vote.userId, vote.langCode1, vote.langCode2, vote.text,
+          candidate.provider, candidate.model, candidate.promptVersion, candidate.translation,
+          vote.winner, vote.winner === candidate.provider
+        ].map(csvCell).join(','));
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default new ComparisonVoteService();
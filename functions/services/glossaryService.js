@@ -0,0 +1,222 @@
+import { randomUUID } from 'crypto';
+import JsonFileStore from './storage/jsonFileStore.js';
+
+/**
+ * Glossary Service
+ * Per-user and per-session terminology that translations must respect.
+ * An entry maps a source term to a fixed target term for a language pair, or keeps the
+ * term untranslated (keepOriginal). Entries apply in both directions of their pair.
+ */
+
+const MAX_TERM_LENGTH = 100;
+const MAX_ENTRIES_PER_SCOPE = 200;
+
+// Thrown when a glossary is full; the client can fix it by removing entries
+export class GlossaryLimitError extends Error {
+  constructor(maxEntries) {
+    super(`A glossary can hold at most ${maxEntries} entries`);
+    this.name = 'GlossaryLimitError';
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsTerm(text, term, { allowInflection = false } = {}) {
+  // Inflected target terms (e.g. "desplegar" -> "desplegará") still satisfy a rule
+  const ending = allowInflection ? '' : '($|[^\\p{L}\\p{N}])';
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}${ending}`, 'iu');
+  return pattern.test(text);
+}
+
+function languagesMatch(entryLang, requestLang) {
+  if (!entryLang || !requestLang) return false;
+  // 'es' in an entry matches 'es-ES' and 'es-MX'
+  return entryLang === requestLang || requestLang.split('-')[0] === entryLang;
+}
+
+/**
+ * Format glossary rules as a prompt section
+ * @param {Array} rules - Rules from GlossaryService.getApplicableEntries
+ * @returns {string} Prompt section, or an empty string when there are no rules
+ */
+export function formatGlossaryForPrompt(rules) {
+  if (!rules || rules.length === 0) {
+    return '';
+  }
+
+  const lines = rules.map(rule => rule.keepOriginal
+    ? `- "${rule.sourceTerm}" must stay untranslated`
+    : `- "${rule.sourceTerm}" must be translated as "${rule.targetTerm}"`
+  );
+
+  return `Mandatory terminology (always follow it exactly):\n${lines.join('\n')}`;
+}
+
+class GlossaryService {
+  constructor() {
+    this.store = new JsonFileStore('glossaries', {});
+  }
+
+  /**
+   * Build the storage key for a scope
+   * @param {string} scope - 'user' or 'session'
+   * @param {string} owner - Username or session id
+   * @returns {string|null} Scope key, or null when the scope is invalid
+   */
+  getScopeKey(scope, owner) {
+    if (!['user', 'session'].includes(scope) || typeof owner !== 'string' || !owner.trim()) {
+      return null;
+    }
+    return `${scope}:${owner.trim().substring(0, 100)}`;
+  }
+
+  /**
+   * Validate and normalize an entry coming from the client
+   * @param {Object} entry - { sourceTerm, targetTerm, sourceLang, targetLang, keepOriginal }
+   * @returns {{entry: Object|null, error: string|null}} Normalized entry or a validation error
+   */
+  validateEntry(entry) {
+    const sourceTerm = typeof entry?.sourceTerm === 'string' ? entry.sourceTerm.trim() : '';
+    const keepOriginal = entry?.keepOriginal === true;
+    const targetTerm = keepOriginal ? sourceTerm : (typeof entry?.targetTerm === 'string' ? entry.targetTerm.trim() : '');
+
+    if (!sourceTerm || !targetTerm) {
+      return { entry: null, error: 'sourceTerm and targetTerm (or keepOriginal) are required' };
+    }
+    if (sourceTerm.length > MAX_TERM_LENGTH || targetTerm.length > MAX_TERM_LENGTH) {
+      return { entry: null, error: `Terms must be at most ${MAX_TERM_LENGTH} characters` };
+    }
+    if (!entry.sourceLang || !entry.targetLang) {
+      return { entry: null, error: 'sourceLang and targetLang are required' };
+    }
+
+    return {
+      entry: {
+        sourceTerm,
+        targetTerm,
+        sourceLang: String(entry.sourceLang),
+        targetLang: String(entry.targetLang),
+        keepOriginal
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Get the entries of a single scope
+   * @returns {Promise<Array>} Entries
+   */
+  async listEntries(scope, owner) {
+    const key = this.getScopeKey(scope, owner);
+    if (!key) return [];
+    const glossaries = await this.store.read();
+    return glossaries[key] || [];
+  }
+
+  /**
+   * Get the entries of the user's glossary and the session glossary combined
+   * @param {Object} owners - { userId, sessionId }
+   * @returns {Promise<Array>} Entries tagged with their scope
+   */
+  async getEntriesFor({ userId, sessionId }) {
+    const glossaries = await this.store.read();
+    const userKey = this.getScopeKey('user', userId);
+    const sessionKey = this.getScopeKey('session', sessionId);
+
+    return [
+      ...(userKey ? (glossaries[userKey] || []).map(entry => ({ ...entry, scope: 'user' })) : []),
+      ...(sessionKey ? (glossaries[sessionKey] || []).map(entry => ({ ...entry, scope: 'session' })) : [])
+    ];
+  }
+
+  /**
+   * Add or replace an entry (same terms and language pair replace the previous entry)
+   * @returns {Promise<Object>} Stored entry
+   */
+  async addEntry(scope, owner, entry) {
+    const key = this.getScopeKey(scope, owner);
+    if (!key) {
+      throw new Error('Invalid glossary scope');
+    }
+
+    const storedEntry = { id: randomUUID(), ...entry, createdAt: new Date().toISOString() };
+
+    await this.store.update(glossaries => {
+      const entries = (glossaries[key] || []).filter(existing => !(
+        existing.sourceTerm.toLowerCase() === entry.sourceTerm.toLowerCase() &&
+        existing.sourceLang === entry.sourceLang &&
+        existing.targetLang === entry.targetLang
+      ));
+
+      if (entries.length >= MAX_ENTRIES_PER_SCOPE) {
+        throw new GlossaryLimitError(MAX_ENTRIES_PER_SCOPE);
+      }
+
+      return { ...glossaries, [key]: [...entries, storedEntry] };
+    });
+
+    return storedEntry;
+  }
+
+  /**
+   * Delete an entry
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async deleteEntry(scope, owner, entryId) {
+    const key = this.getScopeKey(scope, owner);
+    if (!key) return false;
+
+    let removed = false;
+    await this.store.update(glossaries => {
+      const entries = glossaries[key] || [];
+      const remaining = entries.filter(entry => entry.id !== entryId);
+      removed = remaining.length !== entries.length;
+      return { ...glossaries, [key]: remaining };
+    });
+
+    return removed;
+  }
+
+  /**
+   * Get the entries that apply to a translation, oriented in the translation's direction
+   * @param {Array} entries - Glossary entries
+   * @param {string} text - Source text
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @returns {Array<{sourceTerm: string, targetTerm: string, keepOriginal: boolean}>} Applicable rules
+   */
+  getApplicableEntries(entries, text, sourceLang, targetLang) {
+    const rules = [];
+
+    for (const entry of entries) {
+      if (languagesMatch(entry.sourceLang, sourceLang) && languagesMatch(entry.targetLang, targetLang)) {
+        if (containsTerm(text, entry.sourceTerm)) {
+          rules.push({ sourceTerm: entry.sourceTerm, targetTerm: entry.targetTerm, keepOriginal: entry.keepOriginal });
+        }
+      } else if (languagesMatch(entry.targetLang, sourceLang) && languagesMatch(entry.sourceLang, targetLang)) {
+        // Reverse direction: the other speaker uses the target term
+        if (containsTerm(text, entry.targetTerm)) {
+          rules.push({ sourceTerm: entry.targetTerm, targetTerm: entry.sourceTerm, keepOriginal: entry.keepOriginal });
+        }
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * Check a finished translation against the applicable rules
+   * @param {string} translation - Translated text
+   * @param {Array} rules - Rules from getApplicableEntries
+   * @returns {Array<{sourceTerm: string, expected: string}>} Violated rules
+   */
+  checkTranslation(translation, rules) {
+    return rules
+      .filter(rule => !containsTerm(translation, rule.targetTerm, { allowInflection: !rule.keepOriginal }))
+      .map(rule => ({ sourceTerm: rule.sourceTerm, expected: rule.targetTerm, keepOriginal: rule.keepOriginal }));
+  }
+}
+
+export default new GlossaryService();
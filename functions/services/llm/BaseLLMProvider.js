@@ -0,0 +1,193 @@
+import { formatContextForPrompt, formatContextAsData } from './conversationContext.js';
+import { formatGlossaryForPrompt } from '../glossaryService.js';
+import { formatFormalityForPrompt } from './formality.js';
+import { formatPassageForPrompt, formatPassageAsData } from './sentenceSegmenter.js';
+import { formatStructuredInstructions } from './structuredOutput.js';
+import promptTemplateService from './promptTemplateService.js';
+
+function asSection(section) {
+  return section ? `${section}\n\n` : '';
+}
+
+// The source text, context turns and a translation under review are data: they must not be able to close their own delimiters
+function stripDelimiters(text) {
+  return text.replace(/<\/?\s*(source_text|current_translation|conversation_context|full_passage)\s*>/gi, '');
+}
+
+// Templates with {{contextData}} in the user part get context turns and the passage as delimited
+// data there; older templates get them inline in {{context}}
+function formatContextSections(template, options, uiService) {
+  if (!/\{\{\s*contextData\s*\}\}/.test(template.user)) {
+    return {
+      context: [formatContextForPrompt(options.context, uiService), formatPassageForPrompt(options.passage)].filter(Boolean).join('\n\n'),
+      contextData: ''
+    };
+  }
+
+  const turns = (options.context || []).map(turn => ({ ...turn, source: stripDelimiters(turn.source), translation: stripDelimiters(turn.translation) }));
+  const sections = [
+    formatContextAsData(turns, uiService),
+    formatPassageAsData(options.passage && { ...options.passage, text: stripDelimiters(options.passage.text) })
+  ];
+  return {
+    context: sections.map(section => section.instruction).filter(Boolean).join('\n\n'),
+    contextData: sections.map(section => section.data).filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * Abstract base class for LLM translation providers
+ * All LLM providers must extend this class and implement its methods
+ */
+class BaseLLMProvider {
+  constructor(config) {
+    this.config = config;
+    this.validateConfig();
+  }
+
+  /**
+   * Stream a translation
+   * @param {string} text - Text to translate
+   * @param {string} langCode1 - Source language code
+   * @param {string} langCode2 - Target language code
+   * @param {Object} uiService - Object with a languages map (see languageService.createUIService)
+   * @param {Function} onEvent - Receives stream events (see streamEvents.js): delta events
+   * while streaming, then usage and a final done event. Errors are thrown, never emitted as text.
+   * @param {Object} [options] - { context: normalized prior turns, glossary: applicable glossary rules,
+   * formality: 'auto' | 'formal' | 'informal', reminder: extra instruction when retrying, sessionId,
+   * passage: { text, index, count } when translating one sentence segment of a longer input,
+   * structured: answer with the JSON object of structuredOutput.js instead of plain text,
+   * template: prompt template name (default 'interpreter'), currentTranslation: the translation
+   * the 'alternatives' template offers alternatives to,
+   * signal: AbortSignal that must cancel the underlying API request }
+   * @returns {Promise<string>} Final translated text
+   */
+  async translateStream(text, langCode1, langCode2, uiService, onEvent, options = {}) {
+    throw new Error('translateStream method must be implemented by provider');
+  }
+
+  /**
+   * Validate the provider configuration
+   * @throws {Error} If configuration is invalid
+   */
+  validateConfig() {
+    throw new Error('validateConfig method must be implemented by provider');
+  }
+
+  /**
+   * Get the provider name used for routing (e.g. 'gemini')
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    throw new Error('getProviderName method must be implemented by provider');
+  }
+
+  /**
+   * Get the capability metadata used by the router
+   * @returns {{streaming: boolean, maxInputChars: number, supportedLanguages: string[]|'*', costTier: string, local: boolean}}
+   * local is true when text never leaves self-hosted infrastructure
+   */
+  getCapabilities() {
+    return {
+      streaming: true,
+      maxInputChars: 10000,
+      supportedLanguages: '*',
+      costTier: 'medium',
+      local: false
+    };
+  }
+
+  /**
+   * Get the model this provider calls
+   * @returns {string} Model name
+   */
+  getModel() {
+    return this.config.model;
+  }
+
+  /**
+   * Check whether the provider can translate the given input
+   * @param {string} text - Text to translate
+   * @param {string} langCode1 - Source language code
+   * @param {string} langCode2 - Target language code
+   * @returns {boolean} True if the input is within the provider's capabilities
+   */
+  canHandle(text, langCode1, langCode2) {
+    const { maxInputChars, supportedLanguages } = this.getCapabilities();
+    if (text.length > maxInputChars) {
+      return false;
+    }
+    if (supportedLanguages === '*') {
+      return true;
+    }
+    return supportedLanguages.includes(langCode1) && supportedLanguages.includes(langCode2);
+  }
+
+  /**
+   * Get the identifier of the prompt template this provider uses for a language pair
+   * @param {string} langCode1 - Source language code
+   * @param {string} langCode2 - Target language code
+   * @param {string} [name] - Template name
+   * @returns {string} Template id, e.g. 'interpreter@1' or 'interpreter@2[anthropic,*>ja]'
+   */
+  getPromptVersion(langCode1, langCode2, name = 'interpreter') {
+    return this.resolvePromptTemplate(langCode1, langCode2, name).id;
+  }
+
+  resolvePromptTemplate(langCode1, langCode2, name = 'interpreter') {
+    return promptTemplateService.resolve(name, {
+      provider: this.getProviderName(),
+      sourceLang: langCode1,
+      targetLang: langCode2
+    });
+  }
+
+  /**
+   * Build the prompt from the active template for this provider and language pair.
+   * Instructions go in the system part; the user part carries the source text as delimited data.
+   * @param {Object} [options] - { context, glossary, formality, reminder, passage, structured, template, currentTranslation }
+   * conversation turns, terminology rules, register, a retry reminder, the passage a sentence segment belongs to,
+   * whether to answer in JSON, the template name and the translation the alternatives template starts from
+   * @returns {{system: string, user: string}} System instructions (may be empty) and user message
+   */
+  buildPrompt(text, langCode1, langCode2, uiService, options = {}) {
+    const langName2 = uiService.languages[langCode2];
+    const template = options.template || 'interpreter';
+    const resolved = this.resolvePromptTemplate(langCode1, langCode2, template);
+    const { system, user } = resolved;
+    const { context, contextData } = formatContextSections(resolved, options, uiService);
+    const variables = {
+      sourceLanguage: uiService.languages[langCode1],
+      targetLanguage: langName2,
+      text: stripDelimiters(text),
+      translation: stripDelimiters(options.currentTranslation || ''),
+      // The passage of a segment is context too, so custom templates get it without a new variable
+      context: asSection(context),
+      contextData: asSection(contextData),
+      glossary: asSection(formatGlossaryForPrompt(options.glossary)),
+      formality: asSection(formatFormalityForPrompt(options.formality, langCode2, langName2)),
+      // The JSON response format goes first in the system part, so templates need no new variable
+      reminder: asSection([options.structured && template === 'interpreter' && formatStructuredInstructions(uiService.languages[langCode1]), options.reminder].filter(Boolean).join('\n\n'))
+    };
+
+    return {
+      system: promptTemplateService.render(system, variables).trim(),
+      user: promptTemplateService.render(user, variables)
+    };
+  }
+
+  /**
+   * Check if the provider is properly configured
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    try {
+      this.validateConfig();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default BaseLLMProvider;
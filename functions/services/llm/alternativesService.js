@@ -0,0 +1,108 @@
+import { routeTranslation } from './llmRouter.js';
+import { streamWithFailover } from './failoverService.js';
+import { StreamEventType } from './streamEvents.js';
+
+/**
+ * Alternative translations for language learners
+ * Asks a provider, through the same routing and failover as translateStream, for two or three
+ * other renderings of a translated utterance with the nuance of each explained. Providers answer
+ * with the JSON object of the 'alternatives' prompt template:
+ *   { "alternatives": [{ "translation": "...", "explanation": "..." }] }
+ */
+
+const MIN_ALTERNATIVES = 2;
+const MAX_ALTERNATIVES = 3;
+const MAX_EXPLANATION_CHARS = 400;
+
+// Thrown when the model answered but not with enough usable alternatives; the details are for the logs
+export class InsufficientAlternativesError extends Error {
+  constructor(provider, count) {
+    super(`Provider ${provider} returned ${count} usable alternative(s)`);
+    this.name = 'InsufficientAlternativesError';
+    this.provider = provider;
+  }
+}
+
+function normalizeForComparison(text) {
+  return text.trim().toLowerCase().replace(/[\s.!?。！？]+$/u, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse the alternatives a provider returned
+ * @param {string} raw - Full provider output
+ * @param {string} currentTranslation - Translation the alternatives are for; repeats of it are dropped
+ * @returns {Array<{translation: string, explanation: string}>} Up to three distinct alternatives (empty when the output is not the expected JSON)
+ */
+export function parseAlternatives(raw, currentTranslation = '') {
+  const json = String(raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return [];
+  }
+  if (!parsed || !Array.isArray(parsed.alternatives)) {
+    return [];
+  }
+
+  const seen = new Set([normalizeForComparison(currentTranslation)]);
+  const alternatives = [];
+  for (const alternative of parsed.alternatives) {
+    if (typeof alternative?.translation !== 'string' || typeof alternative.explanation !== 'string') continue;
+    const translation = alternative.translation.trim();
+    const key = normalizeForComparison(translation);
+    if (!translation || seen.has(key)) continue;
+
+    seen.add(key);
+    alternatives.push({ translation, explanation: alternative.explanation.trim().substring(0, MAX_EXPLANATION_CHARS) });
+  }
+  return alternatives.slice(0, MAX_ALTERNATIVES);
+}
+
+/**
+ * Generate alternative translations
+ * @param {Object} request - { text, translation, langCode1, langCode2, sensitive, provider, glossary, signal }
+ * provider is an already validated client selection; glossary holds the applicable glossary rules
+ * @param {LLMProviderRegistry} registry - Registry of configured providers
+ * @param {Object} uiService - Object with a languages map (see languageService.createUIService)
+ * @param {Function} [onUsage] - Receives the usage events of the answering provider and of a routing classifier (purpose 'routing')
+ * @returns {Promise<{alternatives: Array<{translation: string, explanation: string}>, provider: string, decision: Object}>} Alternatives and the provider that answered
+ * @throws {InsufficientAlternativesError} If the answer holds fewer than two usable alternatives
+ * @throws {Error} If every provider fails
+ */
+export async function generateAlternatives(request, registry, uiService, onUsage = () => {}) {
+  const { text, translation, langCode1, langCode2, sensitive = false, provider: selectedProvider, glossary, signal } = request;
+
+  // Learners ask for alternatives on demand, so the router may favour quality over speed
+  const decision = await routeTranslation({ text, langCode1, langCode2, latency: 'quality', sensitive, provider: selectedProvider }, registry, {
+    signal,
+    onUsage: (event) => onUsage({ ...event, purpose: 'routing' })
+  });
+
+  let output = '';
+  const { provider, result } = await streamWithFailover(
+    decision.chain,
+    registry,
+    [text, langCode1, langCode2, uiService],
+    (event) => {
+      if (event.type === StreamEventType.DONE) {
+        output = event.text;
+      } else if (event.type === StreamEventType.USAGE) {
+        onUsage(event);
+      }
+    },
+    () => {
+      output = '';
+    },
+    { template: 'alternatives', currentTranslation: translation, glossary, signal }
+  );
+
+  const alternatives = parseAlternatives(output || result, translation);
+  if (alternatives.length < MIN_ALTERNATIVES) {
+    throw new InsufficientAlternativesError(provider, alternatives.length);
+  }
+
+  return { alternatives, provider, decision };
+}
+
+export default { generateAlternatives, parseAlternatives, InsufficientAlternativesError };
@@ -1,4 +1,106 @@
+import Anthropic from "@anthropic-ai/sdk";
+import BaseLLMProvider from "./BaseLLMProvider.js";
+import { deltaEvent, doneEvent, usageEvent } from "./streamEvents.js";
 
-class AnthropicService {}
+// Output budget: up to two tokens per input character (dense scripts translated into alphabetic
+// ones take more tokens than characters) plus room for JSON and instructions in the answer
+const MIN_OUTPUT_TOKENS = 1024;
+const MAX_OUTPUT_TOKENS = 32000;
+const OUTPUT_TOKEN_ALLOWANCE = 512;
 
-export default AnthropicService;
\ No newline at end of file
+/**
+ * Size max_tokens so a translation of the whole input fits
+ * @param {string} text - Source text
+ * @returns {number} Output token limit
+ */
+export function getMaxOutputTokens(text) {
+  return Math.min(MAX_OUTPUT_TOKENS, Math.max(MIN_OUTPUT_TOKENS, text.length * 2 + OUTPUT_TOKEN_ALLOWANCE));
+}
+
+class TruncatedOutputError extends Error {
+  constructor(provider, maxTokens) {
+    super(`${provider} stopped at max_tokens (${maxTokens}) before the translation was complete`);
+    this.name = "TruncatedOutputError";
+    // Another attempt or provider may finish it; a cut-off answer must not pass as complete
+    this.retryable = true;
+  }
+}
+
+class AnthropicService extends BaseLLMProvider {
+  #anthropic;
+
+  constructor(config) {
+    super({ model: "claude-haiku-4-5", ...config });
+    // Retries are handled by failoverService, so the SDK must not retry on its own
+    this.#anthropic = new Anthropic({ apiKey: this.config.apiKey, maxRetries: 0 });
+  }
+
+  validateConfig() {
+    if (!this.config.apiKey) {
+      throw new Error("API key is required for AnthropicService.");
+    }
+  }
+
+  getProviderName() {
+    return "anthropic";
+  }
+
+  getCapabilities() {
+    return {
+      streaming: true,
+      maxInputChars: 100000,
+      supportedLanguages: "*",
+      costTier: "high"
+    };
+  }
+
+  async translateStream(text, langCode1, langCode2, uiService, onEvent, options = {}) {
+    const prompt = this.buildPrompt(text, langCode1, langCode2, uiService, options);
+
+    const maxTokens = getMaxOutputTokens(text);
+    const startedAt = Date.now();
+    let firstTokenMs = null;
+
+    try {
+      const stream = this.#anthropic.messages.stream({
+        model: this.config.model,
+        max_tokens: maxTokens,
+        ...(prompt.system && { system: prompt.system }),
+        messages: [{ role: "user", content: prompt.user }],
+      }, { signal: options.signal });
+
+      let fullText = "";
+      stream.on("text", (delta) => {
+        if (delta) {
+          firstTokenMs ??= Date.now() - startedAt;
+          fullText += delta;
+          console.log("Claude intermittent text:", delta);
+          onEvent(deltaEvent(delta));
+        }
+      });
+
+      const message = await stream.finalMessage();
+
+      // The tokens were spent even when the answer is cut off
+      onEvent(usageEvent({
+        provider: this.getProviderName(),
+        model: this.config.model,
+        inputTokens: message.usage?.input_tokens ?? null,
+        outputTokens: message.usage?.output_tokens ?? null,
+        firstTokenMs
+      }));
+      if (message.stop_reason === "max_tokens") {
+        throw new TruncatedOutputError(this.getProviderName(), maxTokens);
+      }
+
+      console.log("✅ Claude completed translation:", fullText);
+      onEvent(doneEvent(fullText));
+      return fullText;
+    } catch (error) {
+      console.error("Claude stream error:", error);
+      throw error;
+    }
+  }
+}
+
+export default AnthropicService;
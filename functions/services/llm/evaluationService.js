@@ -0,0 +1,170 @@
+import { GoogleGenAI } from "@google/genai";
+import { createTimeoutSignal } from './failoverService.js';
+import { usageEvent } from './streamEvents.js';
+import { domainKeywords, idiomPhrases, complexScriptLanguages, lengthThresholds } from '../../data/evaluationRules.js';
+
+/**
+ * Evaluation Layer
+ * Classifies an utterance and decides which LLM provider should interpret it.
+ * Evaluators are pluggable: any object with an async evaluate(features, availableProviders, options)
+ * method that returns { provider, reason } can be used. options is { signal, onUsage }; evaluators
+ * that call a model abort it with signal and report its tokens through onUsage.
+ */
+
+const LATENCY_LEVELS = ['realtime', 'balanced', 'quality'];
+
+/**
+ * Extract the routing criteria for an utterance
+ * @param {Object} request - { text, langCode1, langCode2, latency }
+ * @returns {Object} Features used by the evaluators
+ */
+export function extractFeatures({ text, langCode1, langCode2, latency }) {
+  const normalized = text.trim().toLowerCase();
+  const wordCount = normalized.split(/\s+/).filter(Boolean).length;
+
+  let length = 'medium';
+  if (wordCount <= lengthThresholds.short) {
+    length = 'short';
+  } else if (wordCount > lengthThresholds.long) {
+    length = 'long';
+  }
+
+  const domain = Object.keys(domainKeywords).find(name =>
+    domainKeywords[name].some(keyword => new RegExp(`(^|[^\\p{L}])${keyword}($|[^\\p{L}])`, 'u').test(normalized))
+  ) || 'general';
+
+  const idioms = idiomPhrases.filter(phrase => normalized.includes(phrase));
+
+  const sourcePrefix = (langCode1 || '').split('-')[0];
+  const targetPrefix = (langCode2 || '').split('-')[0];
+  const complexScript = complexScriptLanguages.includes(sourcePrefix) || complexScriptLanguages.includes(targetPrefix);
+
+  return {
+    wordCount,
+    length,
+    domain,
+    idioms,
+    languagePair: `${langCode1}->${langCode2}`,
+    complexScript,
+    latency: LATENCY_LEVELS.includes(latency) ? latency : 'realtime'
+  };
+}
+
+/**
+ * Deterministic rule-based evaluator
+ */
+export class RuleBasedEvaluator {
+  getName() {
+    return 'rules';
+  }
+
+  async evaluate(features, availableProviders) {
+    const has = (provider) => availableProviders.includes(provider);
+
+    // Sensitive domains and idioms need the strongest reasoning model we have
+    if ((features.domain === 'medical' || features.domain === 'legal') && features.latency !== 'realtime' && has('anthropic')) {
+      return { provider: 'anthropic', reason: `${features.domain} domain with ${features.latency} latency budget` };
+    }
+    if (features.idioms.length > 0 && has('anthropic')) {
+      return { provider: 'anthropic', reason: `idiomatic phrase detected ("${features.idioms[0]}")` };
+    }
+    if (features.length === 'long' && has('anthropic')) {
+      return { provider: 'anthropic', reason: `long utterance (${features.wordCount} words)` };
+    }
+    if (features.complexScript && has('gemini')) {
+      return { provider: 'gemini', reason: `language pair ${features.languagePair} involves a complex script` };
+    }
+    if (features.length === 'short' && has('openai')) {
+      return { provider: 'openai', reason: `short utterance (${features.wordCount} words)` };
+    }
+    if (has('gemini')) {
+      return { provider: 'gemini', reason: `${features.length} ${features.domain} utterance with ${features.latency} latency budget` };
+    }
+
+    return { provider: availableProviders[0], reason: 'only configured provider' };
+  }
+}
+
+/**
+ * Evaluator that asks a cheap classifier model to pick the provider.
+ * Falls back to the rule-based evaluator on errors or when the classifier is too slow.
+ */
+export class ClassifierEvaluator {
+  #ai;
+  #model;
+  #timeoutMs;
+  #fallback;
+
+  constructor(apiKey, { model = 'gemini-2.0-flash-lite', timeoutMs = 1500 } = {}) {
+    if (!apiKey) {
+      throw new Error("API key is required for ClassifierEvaluator.");
+    }
+    this.#ai = new GoogleGenAI({ apiKey });
+    this.#model = model;
+    this.#timeoutMs = timeoutMs;
+    this.#fallback = new RuleBasedEvaluator();
+  }
+
+  getName() {
+    return 'classifier';
+  }
+
+  async evaluate(features, availableProviders, { signal, onUsage = () => {} } = {}) {
+    const prompt = `You route utterances for a live speech interpreter to the best translation model.
+Available providers: ${availableProviders.join(', ')}.
+- openai: fastest for very short utterances.
+- gemini: fast, strong on Asian and non-Latin scripts, good default.
+- anthropic: slowest, best for idioms, nuance, legal or medical content and long utterances.
+Utterance features: ${JSON.stringify(features)}
+Respond ONLY with JSON of the form {"provider": "<one of the available providers>", "reason": "<max 12 words>"}.`;
+
+    // Aborting stops the request, so a slow classifier no longer runs (and bills) in the background
+    const timeout = createTimeoutSignal(this.#timeoutMs, signal, 'Classifier');
+    try {
+      const response = await this.#ai.models.generateContent({
+        model: this.#model,
+        contents: prompt,
+        config: { responseMimeType: 'application/json', abortSignal: timeout.signal }
+      });
+      onUsage(usageEvent({
+        provider: 'gemini',
+        model: this.#model,
+        inputTokens: response.usageMetadata?.promptTokenCount ?? null,
+        outputTokens: response.usageMetadata?.candidatesTokenCount ?? null
+      }));
+
+      const decision = JSON.parse(response.text);
+      if (!availableProviders.includes(decision.provider)) {
+        throw new Error(`Classifier picked unavailable provider: ${decision.provider}`);
+      }
+      return { provider: decision.provider, reason: decision.reason || 'classifier decision' };
+    } catch (error) {
+      // The SDK reports its own abort error; the timeout's reason says what happened
+      const reason = timeout.signal.aborted && !signal?.aborted ? timeout.signal.reason : error;
+      console.warn('Classifier evaluation failed, falling back to rules:', reason.message);
+      const decision = await this.#fallback.evaluate(features, availableProviders);
+      return { ...decision, reason: `${decision.reason} (classifier fallback)` };
+    } finally {
+      timeout.clear();
+    }
+  }
+}
+
+/**
+ * Create the evaluator configured by LLM_EVALUATOR (rules | classifier)
+ * @returns {RuleBasedEvaluator|ClassifierEvaluator} Evaluator instance
+ */
+export function createEvaluator() {
+  const evaluatorName = process.env.LLM_EVALUATOR || 'rules';
+
+  // The classifier runs on Gemini; without a key we stay on the rules
+  if (evaluatorName === 'classifier' && process.env.GEMINI_API_KEY) {
+    return new ClassifierEvaluator(process.env.GEMINI_API_KEY, {
+      model: process.env.LLM_CLASSIFIER_MODEL || undefined
+    });
+  }
+
+  return new RuleBasedEvaluator();
+}
+
+export default { extractFeatures, createEvaluator, RuleBasedEvaluator, ClassifierEvaluator };
@@ -0,0 +1,291 @@
+import { StreamEventType } from './streamEvents.js';
+import providerHealthService from './providerHealthService.js';
+
+/**
+ * Failover for streaming translations
+ * Runs a translation on the first provider of a chain and transparently retries on the
+ * next provider when the current one errors, stalls or times out, before or during the stream.
+ * Retryable errors that happen before the first chunk are first retried on the same provider
+ * with exponential backoff. Every attempt's outcome feeds the provider's circuit breaker.
+ * An abandoned attempt is aborted so it stops spending tokens; options.signal cancels the whole chain.
+ */
+
+const DEFAULT_FIRST_CHUNK_TIMEOUT_MS = 8000;
+const DEFAULT_STALL_TIMEOUT_MS = 5000;
+const DEFAULT_TOTAL_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 1;
+const DEFAULT_RETRY_BASE_DELAY_MS = 300;
+
+// HTTP statuses and network error codes worth retrying on the same provider
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+class ProviderStallError extends Error {
+  constructor(provider, timeoutMs, receivedAnyChunk) {
+    super(`${provider} stalled: no ${receivedAnyChunk ? 'new chunk' : 'first chunk'} within ${timeoutMs}ms`);
+    this.name = 'ProviderStallError';
+    // Nothing reached the client yet, so the same provider can be tried again
+    this.retryable = !receivedAnyChunk;
+  }
+}
+
+class ProviderTimeoutError extends Error {
+  constructor(provider, timeoutMs) {
+    super(`${provider} timed out: translation not complete within ${timeoutMs}ms`);
+    this.name = 'ProviderTimeoutError';
+    this.retryable = false;
+  }
+}
+
+function readTimeout(value, fallback) {
+  return Number(value) > 0 ? Number(value) : fallback;
+}
+
+function getProviderTimeoutOverrides() {
+  if (!process.env.LLM_PROVIDER_TIMEOUTS) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.LLM_PROVIDER_TIMEOUTS);
+  } catch (error) {
+    console.error('Invalid LLM_PROVIDER_TIMEOUTS, using the default timeouts:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Read the timeouts of a provider from the environment
+ * LLM_PROVIDER_TIMEOUTS overrides the global settings per provider,
+ * e.g. {"openai": {"firstChunkTimeoutMs": 12000, "totalTimeoutMs": 45000}}
+ * @param {string} [provider] - Provider name
+ * @returns {{firstChunkTimeoutMs: number, stallTimeoutMs: number, totalTimeoutMs: number}} Timeouts in milliseconds
+ */
+export function getFailoverTimeouts(provider) {
+  const defaults = {
+    firstChunkTimeoutMs: readTimeout(process.env.LLM_FIRST_CHUNK_TIMEOUT_MS, DEFAULT_FIRST_CHUNK_TIMEOUT_MS),
+    stallTimeoutMs: readTimeout(process.env.LLM_STALL_TIMEOUT_MS, DEFAULT_STALL_TIMEOUT_MS),
+    totalTimeoutMs: readTimeout(process.env.LLM_TOTAL_TIMEOUT_MS, DEFAULT_TOTAL_TIMEOUT_MS)
+  };
+  const overrides = (provider && getProviderTimeoutOverrides()[provider]) || {};
+
+  return {
+    firstChunkTimeoutMs: readTimeout(overrides.firstChunkTimeoutMs, defaults.firstChunkTimeoutMs),
+    stallTimeoutMs: readTimeout(overrides.stallTimeoutMs, defaults.stallTimeoutMs),
+    totalTimeoutMs: readTimeout(overrides.totalTimeoutMs, defaults.totalTimeoutMs)
+  };
+}
+
+/**
+ * Read the retry policy from the environment
+ * @returns {{maxRetries: number, baseDelayMs: number}} Retries per provider (LLM_MAX_RETRIES, 0 disables)
+ * and the first backoff delay (LLM_RETRY_BASE_DELAY_MS), doubled on every retry
+ */
+export function getRetryPolicy() {
+  const maxRetries = Number(process.env.LLM_MAX_RETRIES);
+  return {
+    maxRetries: process.env.LLM_MAX_RETRIES && Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES,
+    baseDelayMs: readTimeout(process.env.LLM_RETRY_BASE_DELAY_MS, DEFAULT_RETRY_BASE_DELAY_MS)
+  };
+}
+
+/**
+ * Check whether an error is transient: rate limits, server errors, network failures and stalls before the first chunk
+ * @param {Error} error - Error thrown by a provider attempt
+ * @returns {boolean} True if the same provider may be tried again
+ */
+export function isRetryableError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return error.retryable;
+  }
+  if (RETRYABLE_STATUSES.includes(Number(error?.status))) {
+    return true;
+  }
+  // The OpenAI and Anthropic SDKs report network failures as APIConnectionError
+  return /APIConnection/.test(error?.name || '')
+    || RETRYABLE_CODES.includes(error?.code)
+    || RETRYABLE_CODES.includes(error?.cause?.code);
+}
+
+// Resolves after ms, or rejects as soon as the signal aborts
+function backoff(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create a signal that aborts after timeoutMs, or as soon as the caller's signal aborts,
+ * so a slow model call stops spending tokens instead of running on in the background
+ * @param {number} timeoutMs - Time budget of the call
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @param {string} label - Names the call in the timeout error, e.g. 'Classifier'
+ * @returns {{signal: AbortSignal, clear: Function}} Signal to pass to the call; clear() once it settles
+ */
+export function createTimeoutSignal(timeoutMs, signal, label) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(new Error(`${label} timed out`)), timeoutMs);
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) {
+    onAbort();
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Run a single provider attempt, rejecting if it stalls, runs past its total timeout or the caller aborts
+ * @returns {Promise<string>} Final translated text
+ */
+function runAttempt(provider, service, args, onEvent, options, { firstChunkTimeoutMs, stallTimeoutMs, totalTimeoutMs }) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let receivedAnyChunk = false;
+    let watchdog = null;
+    let deadline = null;
+
+    // Aborted when the attempt is abandoned or the caller cancels, so the SDK request stops too
+    const attempt = new AbortController();
+    const onCallerAbort = () => settle(reject, options.signal.reason);
+
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(watchdog);
+      clearTimeout(deadline);
+      options.signal?.removeEventListener('abort', onCallerAbort);
+      if (callback === reject) {
+        attempt.abort(value);
+      }
+      callback(value);
+    };
+
+    options.signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+    const armWatchdog = () => {
+      clearTimeout(watchdog);
+      const timeoutMs = receivedAnyChunk ? stallTimeoutMs : firstChunkTimeoutMs;
+      watchdog = setTimeout(() => settle(reject, new ProviderStallError(provider, timeoutMs, receivedAnyChunk)), timeoutMs);
+    };
+
+    armWatchdog();
+    deadline = setTimeout(() => settle(reject, new ProviderTimeoutError(provider, totalTimeoutMs)), totalTimeoutMs);
+
+    service.translateStream(...args, (event) => {
+      // Late events from an abandoned attempt must never reach the client
+      if (settled) return;
+      if (event.type === StreamEventType.DELTA) {
+        receivedAnyChunk = true;
+      }
+      armWatchdog();
+      onEvent(event);
+    }, { ...options, signal: attempt.signal })
+      .then(result => settle(resolve, result))
+      .catch(error => settle(reject, error));
+  });
+}
+
+/**
+ * Stream a translation through a chain of providers
+ * @param {string[]} providers - Provider names in failover order (primary first)
+ * @param {LLMProviderRegistry} registry - Registry of configured providers
+ * @param {Array} args - translateStream arguments before the onEvent callback
+ * @param {Function} onEvent - Receives stream events from the provider currently answering
+ * @param {Function} onProviderSwitched - Receives { from, to, reason } when failing over
+ * @param {Object} [options] - translateStream options passed to every provider; options.signal cancels the chain
+ * @returns {Promise<{provider: string, result: string}>} Provider that answered and its result
+ */
+export async function streamWithFailover(providers, registry, args, onEvent, onProviderSwitched, options = {}) {
+  try {
+    return await runChain(providers, registry, args, onEvent, onProviderSwitched, options);
+  } finally {
+    // Breaker state must be stored before the function instance can be frozen
+    await providerHealthService.persist();
+  }
+}
+
+async function runChain(providers, registry, args, onEvent, onProviderSwitched, options) {
+  const { maxRetries, baseDelayMs } = getRetryPolicy();
+  const errors = [];
+
+  for (let i = 0; i < providers.length; i++) {
+    const provider = providers[i];
+    const timeouts = getFailoverTimeouts(provider);
+    const nextProvider = providers[i + 1];
+    let failure = null;
+
+    // A half-open provider takes one trial at a time; while another request holds it, move on
+    // (the last provider in the chain is tried anyway, as the router does when every breaker is open)
+    if (!await providerHealthService.claimTrial(provider) && nextProvider) {
+      errors.push(`${provider}: circuit breaker trial in progress`);
+      onProviderSwitched({ from: provider, to: nextProvider, reason: 'circuit breaker trial in progress' });
+      continue;
+    }
+
+    for (let retry = 0; ; retry++) {
+      options.signal?.throwIfAborted();
+      const startedAt = Date.now();
+      let receivedAnyChunk = false;
+
+      let result;
+      try {
+        const service = registry.getProvider(provider);
+        result = await runAttempt(provider, service, args, (event) => {
+          if (event.type === StreamEventType.DELTA) {
+            receivedAnyChunk = true;
+          }
+          onEvent(event);
+        }, options, timeouts);
+      } catch (error) {
+        // Cancellation is not a provider failure: stop instead of retrying or failing over
+        if (options.signal?.aborted) {
+          await providerHealthService.releaseTrial(provider);
+          throw error;
+        }
+        console.error(`Provider ${provider} failed:`, error.message);
+        await providerHealthService.recordFailure(provider, error)
+          .catch(healthError => console.error(`Failed to record failure of ${provider}:`, healthError.message));
+
+        // Retry only while nothing reached the client, so no partial text has to be discarded
+        if (retry < maxRetries && !receivedAnyChunk && isRetryableError(error)) {
+          const delayMs = baseDelayMs * 2 ** retry + Math.floor(Math.random() * baseDelayMs);
+          console.warn(`Retrying ${provider} in ${delayMs}ms (retry ${retry + 1} of ${maxRetries})`);
+          await backoff(delayMs, options.signal);
+          continue;
+        }
+
+        failure = error;
+        break;
+      }
+
+      // The translation is complete: health bookkeeping must never turn it into a failure
+      await providerHealthService.recordSuccess(provider, Date.now() - startedAt)
+        .catch(error => console.error(`Failed to record success of ${provider}:`, error.message));
+      return { provider, result };
+    }
+
+    errors.push(`${provider}: ${failure.message}`);
+    if (nextProvider) {
+      onProviderSwitched({ from: provider, to: nextProvider, reason: failure.message });
+    }
+  }
+
+  throw new Error(`All providers failed (${errors.join('; ')})`);
+}
+
+export default { streamWithFailover, getFailoverTimeouts, getRetryPolicy, isRetryableError, createTimeoutSignal };
@@ -0,0 +1,57 @@
+/**
+ * Formality (register) control for translations
+ * 'auto' leaves the register to the model; 'formal' and 'informal' add an explicit instruction,
+ * with language-specific guidance where the target language grammaticalizes politeness
+ */
+
+export const FORMALITY_LEVELS = ['auto', 'formal', 'informal'];
+
+// Keyed by base language code
+const REGISTER_HINTS = {
+  de: { formal: 'address people with "Sie"', informal: 'address people with "du"' },
+  fr: { formal: 'address people with "vous"', informal: 'address people with "tu"' },
+  es: { formal: 'address people with "usted"', informal: 'address people with "tú"' },
+  it: { formal: 'address people with "Lei"', informal: 'address people with "tu"' },
+  pt: { formal: 'address people with "o senhor/a senhora"', informal: 'address people with "você" or "tu" as is natural for the locale' },
+  nl: { formal: 'address people with "u"', informal: 'address people with "jij/je"' },
+  sv: { formal: 'use a polite, formal register (avoid slang; "ni" only where it is natural)', informal: 'address people with "du"' },
+  da: { formal: 'use a polite, formal register', informal: 'address people with "du"' },
+  nb: { formal: 'use a polite, formal register', informal: 'address people with "du"' },
+  fi: { formal: 'use the polite plural "te"', informal: 'address people with "sinä"' },
+  ru: { formal: 'address people with "вы"', informal: 'address people with "ты"' },
+  pl: { formal: 'address people with "Pan/Pani"', informal: 'address people with "ty"' },
+  ja: { formal: 'use keigo (です/ます forms and honorifics)', informal: 'use plain form (だ/casual speech)' },
+  ko: { formal: 'use 존댓말 (합니다/해요 speech levels)', informal: 'use 반말 (casual speech level)' }
+};
+
+/**
+ * Validate a formality value coming from the client
+ * @param {*} formality - Requested formality
+ * @returns {string} One of FORMALITY_LEVELS, 'auto' when missing or unknown
+ */
+export function normalizeFormality(formality) {
+  return FORMALITY_LEVELS.includes(formality) ? formality : 'auto';
+}
+
+/**
+ * Format the formality instruction as a prompt section
+ * @param {string} formality - Normalized formality
+ * @param {string} targetLangCode - Target language code (e.g. 'de-DE')
+ * @param {string} targetLangName - Target language name
+ * @returns {string} Prompt section, or an empty string for 'auto'
+ */
+export function formatFormalityForPrompt(formality, targetLangCode, targetLangName) {
+  if (formality !== 'formal' && formality !== 'informal') {
+    return '';
+  }
+
+  const baseLang = (targetLangCode || '').split('-')[0].toLowerCase();
+  const hint = REGISTER_HINTS[baseLang]?.[formality];
+  const register = formality === 'formal' ? 'a formal, polite register' : 'an informal, casual register';
+
+  return hint
+    ? `Register: translate into ${targetLangName} using ${register}; ${hint}.`
+    : `Register: translate into ${targetLangName} using ${register}.`;
+}
+
+export default { FORMALITY_LEVELS, normalizeFormality, formatFormalityForPrompt };
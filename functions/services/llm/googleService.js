@@ -1,42 +1,78 @@
 import { GoogleGenAI } from "@google/genai";
+import BaseLLMProvider from "./BaseLLMProvider.js";
+import { deltaEvent, doneEvent, usageEvent } from "./streamEvents.js";
+import { geminiTranslationSchema } from "./structuredOutput.js";
 
-class GoogleService {
+class GoogleService extends BaseLLMProvider {
   #ai;
 
-  constructor(apiKey) {
-    if (!apiKey) {
+  constructor(config) {
+    super({ model: "gemini-2.0-flash", ...config });
+    this.#ai = new GoogleGenAI({ apiKey: this.config.apiKey });
+  }
+
+  validateConfig() {
+    if (!this.config.apiKey) {
       throw new Error("API key is required for GoogleService.");
     }
-    this.#ai = new GoogleGenAI({ apiKey });
   }
 
-  async translateStream(text, langCode1, langCode2, uiService, onChunk) {
-    const langName1 = uiService.languages[langCode1];
-    const langName2 = uiService.languages[langCode2];
-    const prompt = `You are a professional interpreter. Interpret the following text from ${langName1} to ${langName2}. Respond ONLY with the translated text, without any introductory phrases, explanations, or commentary. If the text is already in ${langName2}, still provide the translation to ensure proper ${langName2} grammar and style. The text to translate is: "${text}"`;
+  getProviderName() {
+    return "gemini";
+  }
+
+  getCapabilities() {
+    return {
+      streaming: true,
+      maxInputChars: 100000,
+      supportedLanguages: "*",
+      costTier: "low"
+    };
+  }
+
+  async translateStream(text, langCode1, langCode2, uiService, onEvent, options = {}) {
+    const prompt = this.buildPrompt(text, langCode1, langCode2, uiService, options);
+
+    const startedAt = Date.now();
+    let firstTokenMs = null;
 
     try {
       const response = await this.#ai.models.generateContentStream({
-        model: "gemini-2.0-flash",
-        contents: prompt,
+        model: this.config.model,
+        contents: prompt.user,
+        config: {
+          ...(prompt.system && { systemInstruction: prompt.system }),
+          ...(options.structured && { responseMimeType: "application/json", responseSchema: geminiTranslationSchema }),
+          // Aborting stops the request when the client disconnects or the attempt is abandoned
+          ...(options.signal && { abortSignal: options.signal }),
+        },
       });
       let fullText = "";
+      let usageMetadata = null;
       for await (const chunk of response) {
+        if (chunk.usageMetadata) {
+          usageMetadata = chunk.usageMetadata;
+        }
         if (chunk.text) {
+          firstTokenMs ??= Date.now() - startedAt;
           fullText += chunk.text;
           console.log("Gemini intermittent/completed text:", chunk.text);
-          // Pass the accumulated full text, not just the chunk
-          onChunk(fullText, false);
+          onEvent(deltaEvent(chunk.text));
         }
       }
-      // Signal completion with the final accumulated text
-      onChunk(fullText, true);
+      onEvent(usageEvent({
+        provider: this.getProviderName(),
+        model: this.config.model,
+        inputTokens: usageMetadata?.promptTokenCount ?? null,
+        outputTokens: usageMetadata?.candidatesTokenCount ?? null,
+        firstTokenMs
+      }));
+      onEvent(doneEvent(fullText));
       return fullText;
     } catch (error) {
+      // Never emit error text as a translation; let the caller fail over
       console.error("Gemini stream error:", error);
-      const errorMessage = "Sorry, an error occurred during translation.";
-      onChunk(errorMessage, true);
-      return "Error";
+      throw error;
     }
   }
 }
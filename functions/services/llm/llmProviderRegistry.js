@@ -0,0 +1,153 @@
+import GoogleService from './googleService.js';
+import OpenAIService from './openaiService.js';
+import AnthropicService from './anthropicService.js';
+import LocalLLMService from './localLLMService.js';
+import MockLLMService from './mockLLMService.js';
+
+/**
+ * Registry of LLM translation providers
+ * Builds every provider that is configured in the environment, so translation works
+ * with whichever subset of API keys is present
+ */
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    // Provider class and settings, kept to rebuild a provider with another model
+    this.definitions = new Map();
+    this.initializeProviders();
+  }
+
+  /**
+   * Initialize all available LLM providers based on environment configuration
+   */
+  initializeProviders() {
+    // A provider is built when its enabling setting is present (an API key, a base URL for local servers, a flag for mocks)
+    const mockConfig = {
+      translations: process.env.MOCK_LLM_TRANSLATIONS,
+      chunkDelayMs: process.env.MOCK_LLM_CHUNK_DELAY_MS,
+      firstChunkDelayMs: process.env.MOCK_LLM_FIRST_CHUNK_DELAY_MS
+    };
+    const providerConfigs = [
+      { name: 'gemini', Provider: GoogleService, enabledBy: process.env.GEMINI_API_KEY, config: { apiKey: process.env.GEMINI_API_KEY, model: process.env.GEMINI_MODEL } },
+      { name: 'openai', Provider: OpenAIService, enabledBy: process.env.OPENAI_API_KEY, config: { apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL } },
+      { name: 'anthropic', Provider: AnthropicService, enabledBy: process.env.ANTHROPIC_API_KEY, config: { apiKey: process.env.ANTHROPIC_API_KEY, model: process.env.ANTHROPIC_MODEL } },
+      { name: 'local', Provider: LocalLLMService, enabledBy: process.env.LOCAL_LLM_BASE_URL, config: { baseURL: process.env.LOCAL_LLM_BASE_URL, model: process.env.LOCAL_LLM_MODEL, apiKey: process.env.LOCAL_LLM_API_KEY } },
+      { name: 'mock', Provider: MockLLMService, enabledBy: process.env.MOCK_LLM === 'true', config: { ...mockConfig, name: 'mock', failure: process.env.MOCK_LLM_FAILURE, failAfterChunks: process.env.MOCK_LLM_FAIL_AFTER_CHUNKS } },
+      // A second mock that never fails, so failover can be exercised offline
+      { name: 'mock-backup', Provider: MockLLMService, enabledBy: process.env.MOCK_LLM === 'true' && process.env.MOCK_LLM_BACKUP === 'true', config: { ...mockConfig, name: 'mock-backup', injectFailures: false } }
+    ];
+
+    for (const { name, Provider, enabledBy, config } of providerConfigs) {
+      if (!enabledBy) {
+        continue;
+      }
+
+      try {
+        // Only pass settings that are set, so provider defaults (e.g. the model) apply
+        const definedConfig = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== ''));
+        this.providers.set(name, new Provider(definedConfig));
+        this.definitions.set(name, { Provider, config: definedConfig });
+      } catch (error) {
+        console.error(`Failed to initialize LLM provider ${name}:`, error.message);
+      }
+    }
+
+    console.log(`Initialized ${this.providers.size} LLM provider(s): ${this.getAvailableProviders().join(', ') || 'none'}`);
+  }
+
+  /**
+   * Get list of available provider names
+   * @returns {string[]} Array of provider names
+   */
+  getAvailableProviders() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Check if a specific provider is available
+   * @param {string} providerName - Name of the provider
+   * @returns {boolean} True if provider is available
+   */
+  hasProvider(providerName) {
+    return this.providers.has(providerName);
+  }
+
+  /**
+   * Get a configured provider
+   * @param {string} providerName - Name of the provider
+   * @returns {BaseLLMProvider} Provider instance
+   */
+  getProvider(providerName) {
+    const provider = this.providers.get(providerName);
+
+    if (!provider) {
+      const available = this.getAvailableProviders();
+      throw new Error(
+        `LLM provider '${providerName}' not found or not configured. ` +
+        `Available providers: ${available.length > 0 ? available.join(', ') : 'none'}`
+      );
+    }
+
+    return provider;
+  }
+
+  /**
+   * Switch a provider to another model for the requests served by this registry
+   * Callers check the model against the allowlist first (see modelSelection.js).
+   * @param {string} providerName - Name of the provider
+   * @param {string} model - Model name
+   */
+  useModel(providerName, model) {
+    const current = this.getProvider(providerName);
+    if (current.getModel() === model) {
+      return;
+    }
+
+    const { Provider, config } = this.definitions.get(providerName);
+    this.providers.set(providerName, new Provider({ ...config, model }));
+  }
+
+  /**
+   * Get the providers that run on self-hosted infrastructure
+   * @returns {string[]} Local provider names
+   */
+  getLocalProviders() {
+    return this.getAvailableProviders().filter(name => this.providers.get(name).getCapabilities().local === true);
+  }
+
+  /**
+   * Get the providers whose capabilities cover the given input
+   * @param {string} text - Text to translate
+   * @param {string} langCode1 - Source language code
+   * @param {string} langCode2 - Target language code
+   * @returns {string[]} Eligible provider names
+   */
+  getEligibleProviders(text, langCode1, langCode2) {
+    return this.getAvailableProviders().filter(name =>
+      this.providers.get(name).canHandle(text, langCode1, langCode2)
+    );
+  }
+
+  /**
+   * Get information about all providers
+   * @returns {Object} Provider information
+   */
+  getProviderInfo() {
+    const info = {};
+
+    for (const [name, provider] of this.providers) {
+      info[name] = {
+        model: provider.getModel(),
+        configured: provider.isConfigured(),
+        capabilities: provider.getCapabilities()
+      };
+    }
+
+    return {
+      providers: info,
+      totalProviders: this.providers.size
+    };
+  }
+}
+
+export default LLMProviderRegistry;
@@ -1,23 +1,90 @@
-// import services using ES module syntax
-import GoogleService from './googleService.js';
-import AnthropicService from './anthropicService.js';
-import OpenAIService from './openaiService.js';
+import { extractFeatures, createEvaluator } from './evaluationService.js';
+import providerHealthService from './providerHealthService.js';
 
-export function getLLMService(sentence, googleApiKey, openAIKey) {
-  const wordCount = sentence.trim().split(/\s+/).length;
+/**
+ * Build the failover chain: the primary provider first, then the remaining available
+ * providers in LLM_FAILOVER_CHAIN order (default: gemini, openai, anthropic)
+ * @param {string} primaryProvider - Provider picked by the Evaluation Layer
+ * @param {string[]} availableProviders - Providers that are configured and can handle the input
+ * @returns {string[]} Provider names in failover order
+ */
+export function getFailoverChain(primaryProvider, availableProviders) {
+  const configuredOrder = (process.env.LLM_FAILOVER_CHAIN || 'gemini,openai,anthropic')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
 
+  const fallbacks = configuredOrder.filter(name => name !== primaryProvider && availableProviders.includes(name));
+  return [primaryProvider, ...fallbacks];
+}
+
+/**
+ * Run the Evaluation Layer and decide which provider should interpret the text
+ * @param {Object} request - { text, langCode1, langCode2, latency, sensitive, provider }
+ * provider is a provider selected by the client (already checked against the allowlist)
+ * @param {LLMProviderRegistry} registry - Registry of configured providers
+ * @param {Object} [options] - { signal, onUsage } passed to the evaluator, which may call a classifier model
+ * @returns {Promise<Object>} Routing decision including the failover chain
+ */
+export async function routeTranslation(request, registry, options = {}) {
+  let availableProviders = registry.getEligibleProviders(request.text, request.langCode1, request.langCode2);
+
+  // Confidential sessions never leave self-hosted providers, not even on failover
+  if (request.sensitive) {
+    const localProviders = registry.getLocalProviders();
+    availableProviders = availableProviders.filter(name => localProviders.includes(name));
+    if (availableProviders.length === 0) {
+      throw new Error('Confidential sessions require a local LLM provider (set LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL)');
+    }
+  }
+
+  if (availableProviders.length === 0) {
+    throw new Error('No configured LLM provider can handle this request');
+  }
+
+  // Providers with an open circuit breaker get no traffic until their cooldown ends;
+  // a provider the client selected is still used, and so is everyone when all breakers are open
+  let openCircuits = [];
+  if (!request.provider) {
+    const healthyProviders = await providerHealthService.filterAvailable(availableProviders);
+    openCircuits = availableProviders.filter(name => !healthyProviders.includes(name));
+    if (healthyProviders.length > 0) {
+      availableProviders = healthyProviders;
+    } else {
+      console.warn(`Every circuit breaker is open (${openCircuits.join(', ')}), trying the providers anyway`);
+    }
+  }
 
-  // Implement a llm to determine which service to use
-  if (wordCount > 3) {
-    console.log("Routing to GoogleService for text:", sentence);  
-    return new GoogleService(googleApiKey);
-  }else if (wordCount <= 3) {
-    console.log("Routing to OpenAIService for text:", sentence);
-    return new OpenAIService(openAIKey);
+  const features = extractFeatures(request);
+  let decision;
 
-  }else{
-    return new AnthropicService();
+  // LLM_PROVIDER forces a single provider, e.g. LLM_PROVIDER=anthropic
+  const forcedProvider = process.env.LLM_PROVIDER;
+  if (request.provider) {
+    // The client picked the provider, e.g. to debug a model's quality
+    if (!availableProviders.includes(request.provider)) {
+      throw new Error(`Selected provider ${request.provider} cannot handle this request`);
+    }
+    decision = { provider: request.provider, reason: 'selected by the client', evaluator: 'client' };
+  } else if (request.sensitive) {
+    decision = { provider: availableProviders[0], reason: 'confidential session, local provider only', evaluator: 'config' };
+  } else if (forcedProvider && availableProviders.includes(forcedProvider)) {
+    decision = { provider: forcedProvider, reason: 'forced by LLM_PROVIDER', evaluator: 'config' };
+  } else {
+    const evaluator = createEvaluator();
+    const result = await evaluator.evaluate(features, availableProviders, options);
+    decision = { ...result, evaluator: evaluator.getName() };
   }
+
+  // Confidential text must not reach the hosted function logs
+  const loggedText = request.sensitive ? ` for ${features.length} confidential text` : ` for text: ${request.text}`;
+  console.log(`Routing to ${decision.provider} (${decision.evaluator}: ${decision.reason})${openCircuits.length > 0 ? `, open circuits: ${openCircuits.join(', ')}` : ''}${loggedText}`);
+
+  // A selected provider never fails over, so the output always comes from the selected model
+  const chain = request.provider
+    ? [request.provider]
+    : request.sensitive ? availableProviders : getFailoverChain(decision.provider, availableProviders);
+  return { ...decision, features, chain, openCircuits };
 }
 
-export default { getLLMService };
\ No newline at end of file
+export default { routeTranslation, getFailoverChain };
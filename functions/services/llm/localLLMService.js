@@ -0,0 +1,90 @@
+import OpenAI from "openai";
+import BaseLLMProvider from "./BaseLLMProvider.js";
+import { deltaEvent, doneEvent, usageEvent } from "./streamEvents.js";
+
+/**
+ * Provider for any OpenAI-compatible chat-completions server (llama.cpp, vLLM, Ollama, LM Studio...)
+ * Text never leaves the configured base URL, so the router uses it for confidential sessions.
+ */
+class LocalLLMService extends BaseLLMProvider {
+  #client;
+
+  constructor(config) {
+    super(config);
+    // Most local servers ignore the key, but the SDK requires one
+    // Retries are handled by failoverService, so the SDK must not retry on its own
+    this.#client = new OpenAI({ apiKey: this.config.apiKey || "not-needed", baseURL: this.config.baseURL, maxRetries: 0 });
+  }
+
+  validateConfig() {
+    if (!this.config.baseURL) {
+      throw new Error("Base URL is required for LocalLLMService.");
+    }
+    if (!this.config.model) {
+      throw new Error("Model name is required for LocalLLMService.");
+    }
+  }
+
+  getProviderName() {
+    return "local";
+  }
+
+  getCapabilities() {
+    return {
+      streaming: true,
+      maxInputChars: 8000,
+      supportedLanguages: "*",
+      costTier: "free",
+      local: true
+    };
+  }
+
+  async translateStream(text, langCode1, langCode2, uiService, onEvent, options = {}) {
+    const prompt = this.buildPrompt(text, langCode1, langCode2, uiService, options);
+    const startedAt = Date.now();
+    let firstTokenMs = null;
+
+    try {
+      const stream = await this.#client.chat.completions.create({
+        model: this.config.model,
+        messages: [
+          ...(prompt.system ? [{ role: "system", content: prompt.system }] : []),
+          { role: "user", content: prompt.user }
+        ],
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal: options.signal });
+
+      let fullText = "";
+      let usage = null;
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          firstTokenMs ??= Date.now() - startedAt;
+          fullText += delta;
+          onEvent(deltaEvent(delta));
+        }
+      }
+
+      // Local providers serve confidential sessions, so the text itself is never logged
+      console.log(`✅ Local LLM completed translation (${fullText.length} chars)`);
+      onEvent(usageEvent({
+        provider: this.getProviderName(),
+        model: this.config.model,
+        inputTokens: usage?.prompt_tokens ?? null,
+        outputTokens: usage?.completion_tokens ?? null,
+        firstTokenMs
+      }));
+      onEvent(doneEvent(fullText));
+      return fullText;
+    } catch (error) {
+      console.error("Local LLM stream error:", error);
+      throw error;
+    }
+  }
+}
+
+export default LocalLLMService;
@@ -0,0 +1,176 @@
+import BaseLLMProvider from "./BaseLLMProvider.js";
+import { normalizeCacheText } from "./translationCache.js";
+import { deltaEvent, doneEvent, usageEvent } from "./streamEvents.js";
+
+// Per-utterance fault injection, e.g. "[[mock:error]]" or "[[mock:stall@2]]" (after two chunks)
+const DIRECTIVE_PATTERN = /\[\[mock:(error|stall)(?:@(\d+))?\]\]/gi;
+const FAILURE_MODES = ["error", "stall"];
+
+const DEFAULT_CHUNK_DELAY_MS = 40;
+const DEFAULT_FIRST_CHUNK_DELAY_MS = 150;
+
+// Waits like a network call would, and rejects like one when the request is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = ms === Infinity ? null : setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function toNonNegative(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Deterministic provider for development and automated tests; never calls a network API.
+ * Output is scripted (config.translations) or rule-based ("[sv-SE] source text"), streamed word by word
+ * with configurable timing. Errors and stalls are injected through config.failure or directives in the text.
+ */
+class MockLLMService extends BaseLLMProvider {
+  validateConfig() {
+    if (this.config.failure && !FAILURE_MODES.includes(this.config.failure)) {
+      throw new Error(`Unknown mock failure mode '${this.config.failure}'. Use one of: ${FAILURE_MODES.join(", ")}.`);
+    }
+    if (typeof this.config.translations === "string") {
+      try {
+        this.config.translations = JSON.parse(this.config.translations);
+      } catch (error) {
+        throw new Error(`Mock translations must be valid JSON: ${error.message}`);
+      }
+    }
+    this.config.model = this.config.model || "mock-1";
+  }
+
+  getProviderName() {
+    return this.config.name || "mock";
+  }
+
+  getCapabilities() {
+    return {
+      streaming: true,
+      maxInputChars: 100000,
+      supportedLanguages: "*",
+      costTier: "free",
+      // Never a destination for confidential sessions: a mock answer would look like a real local translation
+      local: false
+    };
+  }
+
+  /**
+   * Resolve the scripted translation for a text, or derive one by rule
+   * translations may be flat ({ "hello": "hej" }) or keyed by target language ({ "sv-SE": { "hello": "hej" } })
+   * Sources match regardless of case and whitespace
+   */
+  getTranslation(text, langCode2) {
+    const normalize = (source) => normalizeCacheText(source).toLowerCase();
+    const key = normalize(text);
+    const translations = this.config.translations || {};
+    const findIn = (table) => {
+      if (!table || typeof table !== "object") return undefined;
+      const match = Object.keys(table).find(source => typeof table[source] === "string" && normalize(source) === key);
+      return match !== undefined ? table[match] : undefined;
+    };
+
+    return findIn(translations[langCode2]) ?? findIn(translations) ?? `[${langCode2}] ${text}`;
+  }
+
+  /**
+   * Read the failure to inject: a directive in the text wins over the configured failure
+   * @returns {{mode: string, afterChunks: number}|null} Failure, or null to stream normally
+   */
+  getFailure(text) {
+    if (this.config.injectFailures === false) {
+      return null;
+    }
+
+    const directive = [...text.matchAll(DIRECTIVE_PATTERN)][0];
+    if (directive) {
+      return { mode: directive[1].toLowerCase(), afterChunks: Number(directive[2] || 0) };
+    }
+
+    return this.config.failure
+      ? { mode: this.config.failure, afterChunks: toNonNegative(this.config.failAfterChunks, 0) }
+      : null;
+  }
+
+  async translateStream(text, langCode1, langCode2, uiService, onEvent, options = {}) {
+    const sourceText = text.replace(DIRECTIVE_PATTERN, "").trim();
+    const prompt = this.buildPrompt(sourceText, langCode1, langCode2, uiService, options);
+    const failure = this.getFailure(text);
+    const plainTranslation = this.getTranslation(sourceText, langCode2);
+    // Structured mode and the alternatives template wrap the output in the JSON objects real providers return
+    let translation = plainTranslation;
+    if (options.template === "alternatives") {
+      translation = JSON.stringify({
+        alternatives: [
+          { translation: `${plainTranslation} (formal)`, explanation: "Mock alternative in a more formal register." },
+          { translation: `${plainTranslation} (casual)`, explanation: "Mock alternative in an everyday, casual register." }
+        ]
+      });
+    } else if (options.structured) {
+      translation = JSON.stringify({ translation: plainTranslation, detectedLanguage: langCode1, confidence: 0.9, notes: ["Mock translation: no idioms or ambiguity were analysed."] });
+    }
+    const chunks = translation.match(/\S+\s*|\s+/g) || [];
+    const startedAt = Date.now();
+    let firstTokenMs = null;
+
+    await sleep(toNonNegative(this.config.firstChunkDelayMs, DEFAULT_FIRST_CHUNK_DELAY_MS), options.signal);
+
+    // Failing after more chunks than the output has fails once the output is streamed, before done
+    const failAt = failure ? Math.min(failure.afterChunks, chunks.length) : -1;
+    const injectFailure = async (index) => {
+      if (failure.mode === "error") {
+        // Looks like a provider outage, so it is retried before failing over
+        const error = new Error(`Mock provider ${this.getProviderName()} injected error after ${index} chunk(s)`);
+        error.status = 503;
+        throw error;
+      }
+      // A stall only ends when the attempt is aborted, e.g. by the failover watchdog
+      console.log(`Mock provider ${this.getProviderName()} stalling after ${index} chunk(s)`);
+      await sleep(Infinity, options.signal);
+    };
+
+    let fullText = "";
+    for (let index = 0; index < chunks.length; index++) {
+      if (index === failAt) {
+        await injectFailure(index);
+      }
+
+      if (index > 0) {
+        await sleep(toNonNegative(this.config.chunkDelayMs, DEFAULT_CHUNK_DELAY_MS), options.signal);
+      }
+      firstTokenMs ??= Date.now() - startedAt;
+      fullText += chunks[index];
+      onEvent(deltaEvent(chunks[index]));
+    }
+
+    if (failAt === chunks.length) {
+      await injectFailure(failAt);
+    }
+
+    // Token counts are estimated at four characters per token
+    onEvent(usageEvent({
+      provider: this.getProviderName(),
+      model: this.config.model,
+      inputTokens: Math.ceil(((prompt.system || "").length + prompt.user.length) / 4),
+      outputTokens: Math.ceil(fullText.length / 4),
+      firstTokenMs
+    }));
+    onEvent(doneEvent(fullText));
+    return fullText;
+  }
+}
+
+export default MockLLMService;
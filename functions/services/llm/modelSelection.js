@@ -0,0 +1,88 @@
+import { defaultModelAllowlist } from '../../data/modelAllowlist.js';
+
+/**
+ * Client selection of the provider and model for a translation
+ * Every selection is checked against the allowlist, so clients can only pick models we
+ * have priced and tested. Invalid selections are reported as structured errors:
+ * { error, code, field, value, allowed } with code PROVIDER_NOT_ALLOWED or MODEL_NOT_ALLOWED.
+ */
+
+export const SelectionErrorCode = Object.freeze({
+  PROVIDER_NOT_ALLOWED: 'PROVIDER_NOT_ALLOWED',
+  MODEL_NOT_ALLOWED: 'MODEL_NOT_ALLOWED'
+});
+
+// LLM_MODEL_ALLOWLIST extends the built-in allowlist: its models are added to each provider's list
+function getAllowlistConfig() {
+  if (!process.env.LLM_MODEL_ALLOWLIST) {
+    return defaultModelAllowlist;
+  }
+
+  try {
+    const extra = JSON.parse(process.env.LLM_MODEL_ALLOWLIST);
+    const providers = [...new Set([...Object.keys(defaultModelAllowlist), ...Object.keys(extra)])];
+    return Object.fromEntries(providers.map(name => [name, [
+      ...(Array.isArray(defaultModelAllowlist[name]) ? defaultModelAllowlist[name] : []),
+      ...(Array.isArray(extra[name]) ? extra[name] : [])
+    ]]));
+  } catch (error) {
+    console.error('Invalid LLM_MODEL_ALLOWLIST, using the default allowlist:', error.message);
+    return defaultModelAllowlist;
+  }
+}
+
+/**
+ * Get the models clients may select, for the providers that are configured
+ * @param {LLMProviderRegistry} registry - Registry of configured providers
+ * @param {Object} [options] - { localOnly } lists self-hosted providers only
+ * @returns {Object<string, string[]>} Allowed models per provider, the configured model first
+ */
+export function getAllowedModels(registry, { localOnly = false } = {}) {
+  const config = getAllowlistConfig();
+  const providers = localOnly ? registry.getLocalProviders() : registry.getAvailableProviders();
+
+  return Object.fromEntries(providers.map(name => {
+    const listed = Array.isArray(config[name]) ? config[name].filter(model => typeof model === 'string' && model) : [];
+    return [name, [...new Set([registry.getProvider(name).getModel(), ...listed])]];
+  }));
+}
+
+function selectionError(code, error, field, value, allowed) {
+  return { valid: false, error: { error, code, field, value, allowed } };
+}
+
+/**
+ * Check a client's provider and model selection against the allowlist
+ * A model without a provider selects the first provider that allows it.
+ * @param {Object} selection - { provider, model }, both optional
+ * @param {LLMProviderRegistry} registry - Registry of configured providers
+ * @param {Object} [options] - { localOnly } for confidential sessions
+ * @returns {{valid: true, provider: string|null, model: string|null}|{valid: false, error: Object}} Result
+ */
+export function validateModelSelection({ provider, model } = {}, registry, { localOnly = false } = {}) {
+  const allowed = getAllowedModels(registry, { localOnly });
+
+  if (provider === undefined || provider === null || provider === '') {
+    if (model === undefined || model === null || model === '') {
+      return { valid: true, provider: null, model: null };
+    }
+    const match = Object.keys(allowed).find(name => allowed[name].includes(model));
+    if (!match) {
+      return selectionError(SelectionErrorCode.MODEL_NOT_ALLOWED, `Model '${model}' is not allowed`, 'model', model, allowed);
+    }
+    return { valid: true, provider: match, model };
+  }
+
+  if (typeof provider !== 'string' || !allowed[provider]) {
+    const reason = localOnly ? ' for confidential sessions' : '';
+    return selectionError(SelectionErrorCode.PROVIDER_NOT_ALLOWED, `Provider '${provider}' is not allowed${reason}`, 'provider', provider, allowed);
+  }
+
+  if (model !== undefined && model !== null && model !== '' && !allowed[provider].includes(model)) {
+    return selectionError(SelectionErrorCode.MODEL_NOT_ALLOWED, `Model '${model}' is not allowed for provider '${provider}'`, 'model', model, { [provider]: allowed[provider] });
+  }
+
+  return { valid: true, provider, model: model || null };
+}
+
+export default { getAllowedModels, validateModelSelection, SelectionErrorCode };
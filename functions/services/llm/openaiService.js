@@ -1,21 +1,48 @@
 import OpenAI from "openai";
+import BaseLLMProvider from "./BaseLLMProvider.js";
+import { deltaEvent, doneEvent, usageEvent } from "./streamEvents.js";
+import { translationJsonSchema } from "./structuredOutput.js";
 
 
-class OpenAIService {
+class OpenAIService extends BaseLLMProvider {
   #openAI;
-  constructor(apiKey) {
-    this.#openAI = new OpenAI({ apiKey });
+  constructor(config) {
+    super({ model: "gpt-5-mini", ...config });
+    // Retries are handled by failoverService, so the SDK must not retry on its own
+    this.#openAI = new OpenAI({ apiKey: this.config.apiKey, maxRetries: 0 });
   }
 
-  async translateStream(text, langCode1, langCode2, uiService, onChunk) {
-    const langName1 = uiService.languages[langCode1];
-    const langName2 = uiService.languages[langCode2];
-    const prompt = `You are a professional interpreter. Interpret the following text from ${langName1} to ${langName2}. Respond ONLY with the translated text, without any introductory phrases, explanations, or commentary. If the text is already in ${langName2}, still provide the translation to ensure proper ${langName2} grammar and style. The text to translate is: "${text}"`;
+  validateConfig() {
+    if (!this.config.apiKey) {
+      throw new Error("API key is required for OpenAIService.");
+    }
+  }
+
+  getProviderName() {
+    return "openai";
+  }
+
+  getCapabilities() {
+    return {
+      streaming: true,
+      maxInputChars: 100000,
+      supportedLanguages: "*",
+      costTier: "medium"
+    };
+  }
+
+  async translateStream(text, langCode1, langCode2, uiService, onEvent, options = {}) {
+    const prompt = this.buildPrompt(text, langCode1, langCode2, uiService, options);
+
+    const startedAt = Date.now();
+    let firstTokenMs = null;
 
     const stream = await this.#openAI.responses.stream({
-      model: "gpt-5-mini",
-      input: [{ role: "user", content: prompt }],
-    });
+      model: this.config.model,
+      ...(prompt.system && { instructions: prompt.system }),
+      input: [{ role: "user", content: prompt.user }],
+      ...(options.structured && { text: { format: { type: "json_schema", name: "translation", schema: translationJsonSchema, strict: true } } }),
+    }, { signal: options.signal });
 
     let fullTranslation = "";
 
@@ -23,55 +50,30 @@ class OpenAIService {
       .on("response.output_text.delta", (event) => {
         const chunk = event.delta || "";
         if (chunk) {
+          firstTokenMs ??= Date.now() - startedAt;
           fullTranslation += chunk;
           console.log("OpenAI intermittent text:", chunk);
-          if (onChunk) onChunk(chunk);
+          onEvent(deltaEvent(chunk));
         }
       })
-      .on("response.output_text.done", () => {
-        console.log("✅ OpenAI completed translation:", fullTranslation);
-        if (onChunk) onChunk(fullTranslation, true); // signal completion
-      })
       .on("response.error", (event) => {
         console.error("OpenAI stream error:", event.error);
       });
 
+    // Rejects if the stream fails, so the caller can fail over
     const result = await stream.finalResponse();
-    return result;
+
+    console.log("✅ OpenAI completed translation:", fullTranslation);
+    onEvent(usageEvent({
+      provider: this.getProviderName(),
+      model: this.config.model,
+      inputTokens: result.usage?.input_tokens ?? null,
+      outputTokens: result.usage?.output_tokens ?? null,
+      firstTokenMs
+    }));
+    onEvent(doneEvent(fullTranslation));
+    return fullTranslation;
   }
 }
 
 export default OpenAIService;
-
-
-// How to use OpenAI streaming translation in a server-sent events (SSE) context:
-// import OpenAIService from './services/llm/openAIService.js';
-// const openAIKey = process.env.OPENAI_API_KEY;
-// const openAIService = new OpenAIService(openAIKey);
-// await openAIService.translateStream(
-//   text, 
-//   langCode1, 
-//   langCode2, 
-//   uiService,
-//   (currentText, isDone = false) => {
-//     try {
-//       // Only send new content, not the full accumulated text each time
-//       const newContent = currentText.slice(previousText.length);
-      
-//       if (newContent.length > 0 || isDone) {
-//         const sseData = `data: ${JSON.stringify({ 
-//           chunk: newContent,
-//           fullText: currentText,
-//           index: chunkIndex++,
-//           isDone: isDone
-//         })}\n\n`;
-
-//         controller.enqueue(encoder.encode(sseData));
-//         previousText = currentText;
-//       }
-//     } catch (error) {
-//       console.error('Error in streaming callback:', error);
-//       controller.error(error);
-//     }
-//   }
-// );
\ No newline at end of file
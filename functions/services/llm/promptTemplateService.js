@@ -0,0 +1,100 @@
+import JsonFileStore from '../storage/jsonFileStore.js';
+import { activeVersions as defaultActiveVersions, promptTemplates as defaultTemplates } from '../../data/promptTemplates.js';
+
+/**
+ * Prompt Template Service
+ * Resolves the active version of a named prompt template for a provider and language pair,
+ * and renders it with {{variable}} substitution. Templates from <DATA_DIR>/promptTemplates.json
+ * are merged over the built-in ones on load(), so prompt revisions do not need a redeploy.
+ */
+
+function matchesLanguage(templateLang, requestLang) {
+  if (!templateLang || templateLang === '*') return true;
+  if (!requestLang) return false;
+  return templateLang === requestLang || requestLang.split('-')[0] === templateLang;
+}
+
+// Provider and language pair restrictions each add specificity; the pair weighs more
+function specificity(template) {
+  const pair = [template.sourceLang, template.targetLang].filter(lang => lang && lang !== '*').length;
+  return pair * 2 + (template.provider ? 1 : 0);
+}
+
+function describe(template) {
+  const qualifiers = [];
+  if (template.provider) qualifiers.push(template.provider);
+  if (template.sourceLang || template.targetLang) {
+    qualifiers.push(`${template.sourceLang || '*'}>${template.targetLang || '*'}`);
+  }
+  const suffix = qualifiers.length > 0 ? `[${qualifiers.join(',')}]` : '';
+  return `${template.name}@${template.version}${suffix}`;
+}
+
+class PromptTemplateService {
+  constructor() {
+    this.store = new JsonFileStore('promptTemplates', {});
+    this.activeVersions = { ...defaultActiveVersions };
+    this.templates = [...defaultTemplates];
+  }
+
+  /**
+   * Reload templates and active versions from the data directory
+   */
+  async load() {
+    const stored = await this.store.read();
+    this.activeVersions = { ...defaultActiveVersions, ...(stored.activeVersions || {}) };
+    this.templates = [
+      ...defaultTemplates,
+      ...(Array.isArray(stored.templates) ? stored.templates.filter(t => t && t.name && t.version && typeof t.user === 'string') : [])
+    ];
+  }
+
+  /**
+   * Get the active version of a template
+   * @param {string} name - Template name
+   * @returns {string|undefined} Version (PROMPT_TEMPLATE_VERSION overrides the interpreter version)
+   */
+  getActiveVersion(name) {
+    if (name === 'interpreter' && process.env.PROMPT_TEMPLATE_VERSION) {
+      return process.env.PROMPT_TEMPLATE_VERSION;
+    }
+    return this.activeVersions[name];
+  }
+
+  /**
+   * Find the most specific template of the active version
+   * @param {string} name - Template name
+   * @param {Object} target - { provider, sourceLang, targetLang }
+   * @returns {{id: string, system: string, user: string}} Resolved template parts and its identifier
+   */
+  resolve(name, { provider, sourceLang, targetLang } = {}) {
+    const version = this.getActiveVersion(name);
+    const candidates = this.templates
+      .filter(t => t.name === name && t.version === version)
+      .filter(t => !t.provider || t.provider === provider)
+      .filter(t => matchesLanguage(t.sourceLang, sourceLang) && matchesLanguage(t.targetLang, targetLang));
+
+    if (candidates.length === 0) {
+      throw new Error(`No prompt template ${name}@${version} for ${provider} ${sourceLang}>${targetLang}`);
+    }
+
+    // Later templates (from the data directory) win ties against built-in ones
+    const best = candidates.reduce((current, candidate) =>
+      specificity(candidate) >= specificity(current) ? candidate : current
+    );
+
+    return { id: describe(best), system: best.system || '', user: best.user };
+  }
+
+  /**
+   * Substitute {{variables}} in a template; unknown variables render as empty strings
+   * @param {string} template - Template text
+   * @param {Object} variables - Variable values
+   * @returns {string} Rendered prompt
+   */
+  render(template, variables) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => variables[key] ?? '');
+  }
+}
+
+export default new PromptTemplateService();
@@ -0,0 +1,246 @@
+import JsonFileStore from '../storage/jsonFileStore.js';
+
+/**
+ * Provider health and circuit breakers
+ * Every provider attempt records its outcome. A provider's breaker opens after
+ * LLM_BREAKER_FAILURE_THRESHOLD consecutive failures, so the router stops sending it traffic;
+ * after LLM_BREAKER_COOLDOWN_MS it is half-open and a single request is let through as a trial
+ * that closes the breaker on success or opens it again on failure. The trial is claimed when the
+ * provider is actually attempted (claimTrial), not when the router lists it.
+ * The state is kept in memory on the request path; persist() writes it to DATA_DIR before the
+ * request ends, so new function instances (and providerHealth) start from the same breakers.
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30000;
+const DEFAULT_WINDOW_MS = 5 * 60 * 1000;
+const MAX_OUTCOMES = 50;
+
+export const BreakerState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return value && number > 0 ? number : fallback;
+}
+
+/**
+ * Read the circuit breaker settings
+ * @returns {{failureThreshold: number, cooldownMs: number, windowMs: number}} Settings; windowMs is the error rate window
+ */
+export function getBreakerSettings() {
+  return {
+    failureThreshold: positiveNumber(process.env.LLM_BREAKER_FAILURE_THRESHOLD, DEFAULT_FAILURE_THRESHOLD),
+    cooldownMs: positiveNumber(process.env.LLM_BREAKER_COOLDOWN_MS, DEFAULT_COOLDOWN_MS),
+    windowMs: positiveNumber(process.env.LLM_HEALTH_WINDOW_MS, DEFAULT_WINDOW_MS)
+  };
+}
+
+function createEntry() {
+  return { state: BreakerState.CLOSED, consecutiveFailures: 0, openedAt: null, trialStartedAt: null, lastError: null, lastErrorAt: null, outcomes: [] };
+}
+
+function lastOutcomeAt(entry) {
+  return entry?.outcomes?.at(-1)?.at ?? 0;
+}
+
+function isTrialClaimed(entry, now, { cooldownMs }) {
+  return Boolean(entry.trialStartedAt) && now - entry.trialStartedAt < cooldownMs;
+}
+
+// An open breaker whose cooldown has passed lets a trial request through
+function effectiveState(entry, now, { cooldownMs }) {
+  if (entry.state === BreakerState.OPEN && now - entry.openedAt >= cooldownMs) {
+    return BreakerState.HALF_OPEN;
+  }
+  return entry.state;
+}
+
+class ProviderHealthService {
+  constructor() {
+    this.store = new JsonFileStore('providerHealth', {});
+    this.health = null;
+    this.loading = null;
+    this.dirty = false;
+    this.writing = Promise.resolve();
+  }
+
+  // The persisted state is read once per instance; afterwards memory is authoritative
+  async getHealth() {
+    this.loading ??= this.store.read().then(stored => {
+      this.health = stored;
+    }, error => {
+      // A failed read is retried by the next request instead of sticking for the instance's lifetime
+      this.loading = null;
+      throw error;
+    });
+    await this.loading;
+    return this.health;
+  }
+
+  /**
+   * Write the in-memory state to the store if it changed
+   * Awaited before a request ends: a serverless instance may be frozen right after responding,
+   * so a deferred write would lose the breaker state. Writes are serialized in call order.
+   */
+  async persist() {
+    if (this.dirty) {
+      this.dirty = false;
+      const snapshot = structuredClone(this.health);
+      this.writing = this.writing.then(() => this.store.write(snapshot));
+    }
+    await this.writing.catch(error => console.error('Failed to persist provider health:', error.message));
+  }
+
+  /**
+   * Check which providers may receive traffic
+   * Half-open providers are listed while nobody holds their trial; claimTrial takes it once the
+   * provider is actually attempted.
+   * @param {string[]} providers - Provider names
+   * @returns {Promise<string[]>} Providers whose breaker is closed, or half-open with the trial free, in the given order
+   */
+  async filterAvailable(providers) {
+    const health = await this.getHealth();
+    const settings = getBreakerSettings();
+    const now = Date.now();
+    return providers.filter(name => {
+      const entry = health[name];
+      const state = entry ? effectiveState(entry, now, settings) : BreakerState.CLOSED;
+      if (state !== BreakerState.HALF_OPEN) {
+        return state === BreakerState.CLOSED;
+      }
+      return !isTrialClaimed(entry, now, settings);
+    });
+  }
+
+  /**
+   * Claim the trial of a half-open provider before attempting it
+   * The claim ends with the attempt's recorded outcome, or with releaseTrial when the attempt is
+   * cancelled; it lapses after another cooldown if the request never reports back.
+   * @param {string} provider - Provider name
+   * @returns {Promise<boolean>} False when another request holds the trial, true otherwise
+   */
+  async claimTrial(provider) {
+    const health = await this.getHealth();
+    const settings = getBreakerSettings();
+    const now = Date.now();
+    const entry = health[provider];
+    if (!entry || effectiveState(entry, now, settings) !== BreakerState.HALF_OPEN) {
+      return true;
+    }
+    if (isTrialClaimed(entry, now, settings)) {
+      return false;
+    }
+    entry.trialStartedAt = now;
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * Give up a trial claim without an outcome, e.g. when the request was cancelled
+   * @param {string} provider - Provider name
+   */
+  async releaseTrial(provider) {
+    const health = await this.getHealth();
+    if (health[provider]?.trialStartedAt) {
+      health[provider].trialStartedAt = null;
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Record a successful attempt, closing the breaker
+   * @param {string} provider - Provider name
+   * @param {number} latencyMs - Duration of the attempt
+   */
+  async recordSuccess(provider, latencyMs) {
+    await this.record(provider, entry => ({
+      ...entry,
+      state: BreakerState.CLOSED,
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialStartedAt: null
+    }), { ok: true, latencyMs });
+  }
+
+  /**
+   * Record a failed attempt, opening the breaker at the threshold or after a failed trial
+   * @param {string} provider - Provider name
+   * @param {Error} error - Failure
+   */
+  async recordFailure(provider, error) {
+    const { failureThreshold, cooldownMs } = getBreakerSettings();
+    const now = Date.now();
+
+    await this.record(provider, entry => {
+      const consecutiveFailures = entry.consecutiveFailures + 1;
+      const trialFailed = effectiveState(entry, now, { cooldownMs }) === BreakerState.HALF_OPEN;
+      const opens = trialFailed || (entry.state === BreakerState.CLOSED && consecutiveFailures >= failureThreshold);
+      if (opens) {
+        console.warn(`Circuit breaker for ${provider} opened after ${consecutiveFailures} consecutive failure(s)`);
+      }
+
+      return {
+        ...entry,
+        state: opens ? BreakerState.OPEN : entry.state,
+        openedAt: opens ? now : entry.openedAt,
+        trialStartedAt: null,
+        consecutiveFailures,
+        lastError: String(error?.message || error).substring(0, 300),
+        lastErrorAt: now
+      };
+    }, { ok: false });
+  }
+
+  async record(provider, updateEntry, outcome) {
+    const health = await this.getHealth();
+    const now = Date.now();
+    const entry = updateEntry(health[provider] || createEntry());
+    entry.outcomes = [...entry.outcomes, { at: now, ...outcome }].slice(-MAX_OUTCOMES);
+    health[provider] = entry;
+    this.dirty = true;
+  }
+
+  /**
+   * Report the breaker state and recent error rate of providers
+   * @param {string[]} providers - Provider names to include even without recorded outcomes
+   * @returns {Promise<Object[]>} One report per provider
+   */
+  async getReport(providers) {
+    // Other instances only share their state through the store; per provider the fresher entry wins
+    const [stored, local] = await Promise.all([this.store.read(), this.getHealth()]);
+    const health = { ...stored };
+    Object.entries(local).forEach(([name, entry]) => {
+      if (lastOutcomeAt(entry) >= lastOutcomeAt(health[name])) health[name] = entry;
+    });
+    const settings = getBreakerSettings();
+    const now = Date.now();
+    const names = [...new Set([...providers, ...Object.keys(health)])];
+
+    return names.map(name => {
+      const entry = health[name] || createEntry();
+      const recent = entry.outcomes.filter(outcome => now - outcome.at <= settings.windowMs);
+      const failures = recent.filter(outcome => !outcome.ok).length;
+      const latencies = recent.filter(outcome => outcome.ok && outcome.latencyMs != null).map(outcome => outcome.latencyMs);
+      const state = effectiveState(entry, now, settings);
+
+      return {
+        provider: name,
+        configured: providers.includes(name),
+        state,
+        consecutiveFailures: entry.consecutiveFailures,
+        requests: recent.length,
+        errorRate: recent.length > 0 ? Math.round((failures / recent.length) * 100) / 100 : null,
+        averageLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+        lastError: entry.lastError,
+        lastErrorAt: entry.lastErrorAt ? new Date(entry.lastErrorAt).toISOString() : null,
+        retryAt: state === BreakerState.OPEN ? new Date(entry.openedAt + settings.cooldownMs).toISOString() : null
+      };
+    });
+  }
+}
+
+export default new ProviderHealthService();
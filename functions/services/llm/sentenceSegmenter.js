@@ -0,0 +1,177 @@
+/**
+ * Sentence segmentation for long utterances
+ * Long inputs are split into sentences (language-aware, via Intl.Segmenter), translated in
+ * parallel and streamed back in order, so text-to-speech can start on the first sentence.
+ */
+
+const DEFAULT_MIN_CHARS = 280;
+const DEFAULT_MAX_SEGMENTS = 6;
+const MIN_SEGMENT_CHARS = 40;
+const MAX_PASSAGE_CHARS = 2000;
+
+// Scripts written without spaces between sentences
+const UNSPACED_LANGUAGES = ['zh', 'ja', 'th', 'lo', 'km', 'my'];
+
+function splitSentences(text, langCode) {
+  if (typeof Intl.Segmenter === 'function') {
+    try {
+      const segmenter = new Intl.Segmenter(langCode, { granularity: 'sentence' });
+      return Array.from(segmenter.segment(text), part => part.segment);
+    } catch {
+      // Unknown locale: fall through to punctuation rules
+    }
+  }
+  return text.split(/(?<=[.!?。！？])\s+/);
+}
+
+/**
+ * Read the segmentation limits
+ * @returns {{minChars: number, maxSegments: number}} Inputs shorter than minChars are translated whole (SEGMENT_MIN_CHARS, 0 disables);
+ * at most maxSegments parallel requests are made (SEGMENT_MAX_PARALLEL)
+ */
+export function getSegmentationSettings() {
+  const minChars = Number(process.env.SEGMENT_MIN_CHARS);
+  const maxSegments = Number(process.env.SEGMENT_MAX_PARALLEL);
+  return {
+    minChars: process.env.SEGMENT_MIN_CHARS && Number.isInteger(minChars) && minChars >= 0 ? minChars : DEFAULT_MIN_CHARS,
+    maxSegments: Number.isInteger(maxSegments) && maxSegments >= 1 ? maxSegments : DEFAULT_MAX_SEGMENTS
+  };
+}
+
+/**
+ * Split a text into the segments to translate in parallel
+ * Very short sentences are merged with the next one, and sentences are grouped when there are more than maxSegments.
+ * @param {string} text - Source text
+ * @param {string} langCode - Source language code, used for language-aware sentence boundaries
+ * @returns {string[]} Segments in order; a single segment when the text is short or segmentation is disabled
+ */
+export function segmentText(text, langCode) {
+  const { minChars, maxSegments } = getSegmentationSettings();
+  if (minChars === 0 || text.length < minChars) {
+    return [text];
+  }
+
+  const sentences = [];
+  let pending = '';
+  for (const sentence of splitSentences(text, langCode)) {
+    pending += sentence;
+    if (pending.trim().length >= MIN_SEGMENT_CHARS) {
+      sentences.push(pending.trim());
+      pending = '';
+    }
+  }
+  if (pending.trim()) {
+    if (sentences.length > 0) {
+      sentences[sentences.length - 1] = `${sentences[sentences.length - 1]} ${pending.trim()}`;
+    } else {
+      sentences.push(pending.trim());
+    }
+  }
+
+  if (sentences.length <= maxSegments) {
+    return sentences;
+  }
+
+  // Group consecutive sentences into maxSegments roughly equal segments
+  const perSegment = Math.ceil(sentences.length / maxSegments);
+  const segments = [];
+  for (let index = 0; index < sentences.length; index += perSegment) {
+    segments.push(sentences.slice(index, index + perSegment).join(' '));
+  }
+  return segments;
+}
+
+/**
+ * Get the text placed between translated segments
+ * @param {string} langCode - Target language code
+ * @returns {string} A space, or nothing for scripts without spaces between sentences
+ */
+export function getSegmentSeparator(langCode) {
+  const baseLanguage = (langCode || '').split('-')[0].toLowerCase();
+  return UNSPACED_LANGUAGES.includes(baseLanguage) ? '' : ' ';
+}
+
+/**
+ * Format the passage a segment belongs to as a prompt section
+ * @param {Object} passage - { text, index, count } full source text and the segment's position
+ * @returns {string} Prompt section, or an empty string for unsegmented input
+ */
+export function formatPassageForPrompt(passage) {
+  if (!passage || !passage.text || passage.count < 2) {
+    return '';
+  }
+
+  const text = passage.text.length > MAX_PASSAGE_CHARS ? `${passage.text.substring(0, MAX_PASSAGE_CHARS)}…` : passage.text;
+  return `The text to translate is part ${passage.index + 1} of ${passage.count} of a longer passage whose parts are translated separately. The full passage, for reference only (translate only your part, consistently with the rest):\n"${text}"`;
+}
+
+/**
+ * Format the passage a segment belongs to as delimited data for the user message
+ * @param {Object} passage - { text, index, count } with delimiter tags already stripped from text
+ * @returns {{instruction: string, data: string}} System instruction and <full_passage> block; empty for unsegmented input
+ */
+export function formatPassageAsData(passage) {
+  if (!passage || !passage.text || passage.count < 2) {
+    return { instruction: '', data: '' };
+  }
+
+  const text = passage.text.length > MAX_PASSAGE_CHARS ? `${passage.text.substring(0, MAX_PASSAGE_CHARS)}…` : passage.text;
+  return {
+    instruction: `The text to translate is part ${passage.index + 1} of ${passage.count} of a longer passage whose parts are translated separately. The user message contains the full passage between <full_passage> and </full_passage>, for reference only: translate only your part, consistently with the rest.`,
+    data: `<full_passage>\n${text}\n</full_passage>`
+  };
+}
+
+/**
+ * Relays the events of parallel segments in segment order
+ * Events of the segment at the head are sent immediately; later segments are buffered until every
+ * earlier segment has completed, so the client receives one ordered stream.
+ */
+export class SegmentSequencer {
+  /**
+   * @param {number} count - Number of segments
+   * @param {Function} send - Sends an event to the client
+   */
+  constructor(count, send) {
+    this.send = send;
+    this.buffers = Array.from({ length: count }, () => []);
+    this.completed = new Array(count).fill(false);
+    this.head = 0;
+    this.stopped = false;
+  }
+
+  emit(index, event) {
+    if (this.stopped) return;
+    if (index === this.head) {
+      this.send(event);
+    } else {
+      this.buffers[index].push(event);
+    }
+  }
+
+  /**
+   * Mark a segment complete and flush the buffered segments that are now in order
+   * @param {number} index - Segment index
+   * @param {Object} event - Final event of the segment
+   */
+  complete(index, event) {
+    this.emit(index, event);
+    this.completed[index] = true;
+
+    while (!this.stopped && this.head < this.completed.length && this.completed[this.head]) {
+      this.head++;
+      if (this.head < this.buffers.length) {
+        this.buffers[this.head].forEach(buffered => this.send(buffered));
+        this.buffers[this.head] = [];
+      }
+    }
+  }
+
+  // Drop everything still buffered, e.g. after a segment failed
+  stop() {
+    this.stopped = true;
+    this.buffers = this.buffers.map(() => []);
+  }
+}
+
+export default { segmentText, getSegmentSeparator, getSegmentationSettings, formatPassageForPrompt, formatPassageAsData, SegmentSequencer };
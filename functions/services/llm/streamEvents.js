@@ -0,0 +1,96 @@
+/**
+ * Streaming event protocol between LLM providers and the SSE endpoint
+ *
+ * Providers call onEvent with one of these events; translateStream relays each one as a
+ * named SSE event (`event: <type>`) whose data is the JSON payload without the type.
+ *
+ *   delta            { text }                                   - new text since the previous delta
+ *   done             { text, provider, promptVersion, cached?, flagged? } - complete translation, ends the stream
+ *   usage            { provider, model, inputTokens, outputTokens, firstTokenMs, promptVersion, costUsd, purpose?, primary? }
+ *                    - purpose marks side calls ('routing', 'quality'); primary marks the one event that counts the user's request
+ *   error            { message }                                - translation failed, ends the stream
+ *   meta             { kind, ... }                              - side information (kind: 'routing', 'glossary', 'cache', 'validation', 'segmentation', 'targets')
+ *   providerSwitched { from, to, reason }                       - failover; discard previous deltas
+ *   segment          { index, count, text, flagged? }           - a sentence segment of a long input is complete; deltas before it are final
+ *   notes            { detectedLanguage, confidence, notes, languageMismatch } - structured mode only, right after done
+ *   quality          { score, method, problems, threshold, lowConfidence } - optional, after done
+ *
+ * Multiplexed streams (translateCompare) add `provider` to every event; there done and error
+ * only end that provider's lane and the stream ends when the response closes.
+ * Lecture mode (translateStream with targetLanguages) does the same with `language`, after a
+ * first meta event { kind: 'targets', languages }.
+ */
+
+export const StreamEventType = Object.freeze({
+  DELTA: 'delta',
+  DONE: 'done',
+  USAGE: 'usage',
+  ERROR: 'error',
+  META: 'meta',
+  PROVIDER_SWITCHED: 'providerSwitched',
+  SEGMENT: 'segment',
+  NOTES: 'notes',
+  QUALITY: 'quality'
+});
+
+export function deltaEvent(text) {
+  return { type: StreamEventType.DELTA, text };
+}
+
+export function doneEvent(text, extra = {}) {
+  return { type: StreamEventType.DONE, text, ...extra };
+}
+
+export function usageEvent({ provider, model, inputTokens = null, outputTokens = null, firstTokenMs = null, ...extra }) {
+  return { type: StreamEventType.USAGE, provider, model, inputTokens, outputTokens, firstTokenMs, ...extra };
+}
+
+export function errorEvent(message, extra = {}) {
+  return { type: StreamEventType.ERROR, message, ...extra };
+}
+
+export function metaEvent(kind, data = {}) {
+  return { type: StreamEventType.META, kind, ...data };
+}
+
+export function providerSwitchedEvent({ from, to, reason }) {
+  return { type: StreamEventType.PROVIDER_SWITCHED, from, to, reason };
+}
+
+export function segmentEvent({ index, count, text, flagged = false }) {
+  return { type: StreamEventType.SEGMENT, index, count, text, ...(flagged && { flagged: true }) };
+}
+
+export function notesEvent({ detectedLanguage = null, confidence = null, notes = [], languageMismatch = false }) {
+  return { type: StreamEventType.NOTES, detectedLanguage, confidence, notes, languageMismatch };
+}
+
+export function qualityEvent({ score, method, problems = [], threshold }) {
+  return { type: StreamEventType.QUALITY, score, method, problems, threshold, lowConfidence: score < threshold };
+}
+
+/**
+ * Serialize an event as a named SSE message
+ * @param {Object} event - Event created by one of the factories above
+ * @param {number} [id] - Optional event id
+ * @returns {string} SSE message terminated by a blank line
+ */
+export function formatSSE(event, id = null) {
+  const { type, ...payload } = event;
+  const idLine = id !== null ? `id: ${id}\n` : '';
+  return `${idLine}event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+export default {
+  StreamEventType,
+  deltaEvent,
+  doneEvent,
+  usageEvent,
+  errorEvent,
+  metaEvent,
+  providerSwitchedEvent,
+  segmentEvent,
+  notesEvent,
+  qualityEvent,
+  formatSSE
+};
@@ -0,0 +1,164 @@
+/**
+ * Structured translation output
+ * In structured mode providers answer with a JSON object instead of plain text:
+ *   { "translation": "...", "detectedLanguage": "sv", "confidence": 0.9, "notes": ["..."] }
+ * "translation" comes first so its value can be decoded and streamed while the JSON is still
+ * arriving; the other fields are read once the object is complete.
+ */
+
+const MAX_NOTES = 5;
+const MAX_NOTE_CHARS = 300;
+
+// JSON Schema for providers with native structured output (OpenAI strict mode needs every field required)
+export const translationJsonSchema = {
+  type: 'object',
+  properties: {
+    translation: { type: 'string' },
+    detectedLanguage: { type: 'string' },
+    confidence: { type: 'number' },
+    notes: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['translation', 'detectedLanguage', 'confidence', 'notes'],
+  additionalProperties: false
+};
+
+// Gemini's schema dialect; propertyOrdering keeps the translation first so it streams
+export const geminiTranslationSchema = {
+  type: 'OBJECT',
+  properties: {
+    translation: { type: 'STRING' },
+    detectedLanguage: { type: 'STRING' },
+    confidence: { type: 'NUMBER' },
+    notes: { type: 'ARRAY', items: { type: 'STRING' } }
+  },
+  required: ['translation', 'detectedLanguage', 'confidence', 'notes'],
+  propertyOrdering: ['translation', 'detectedLanguage', 'confidence', 'notes']
+};
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Format the response format instructions for structured mode
+ * @param {string} sourceLanguage - Name of the language the text is assumed to be in
+ * @returns {string} Prompt section
+ */
+export function formatStructuredInstructions(sourceLanguage) {
+  return `Response format (this replaces the instruction to respond only with the translation): respond ONLY with one JSON object, no code fences, with the keys in this order: {"translation": "<the translation>", "detectedLanguage": "<BCP-47 code of the language the source text is actually written in>", "confidence": <0 to 1, how confident you are that the translation is faithful>, "notes": [<at most 3 short notes for the listener about idioms, ambiguity, untranslatable terms, or the source not being ${sourceLanguage}; empty when there is nothing to note>]}.`;
+}
+
+/**
+ * Decodes the "translation" value of a streamed JSON object chunk by chunk
+ */
+export class StructuredTranslationParser {
+  constructor() {
+    this.raw = '';
+    this.position = -1;
+    this.complete = false;
+  }
+
+  /**
+   * Add a chunk of the raw output
+   * @param {string} chunk - Raw provider output
+   * @returns {string} Translation text decoded from this chunk (may be empty)
+   */
+  feed(chunk) {
+    this.raw += chunk;
+    if (this.complete) {
+      return '';
+    }
+
+    if (this.position < 0) {
+      const start = /"translation"\s*:\s*"/.exec(this.raw);
+      if (!start) {
+        return '';
+      }
+      this.position = start.index + start[0].length;
+    }
+
+    let decoded = '';
+    while (this.position < this.raw.length) {
+      const char = this.raw[this.position];
+      if (char === '"') {
+        this.complete = true;
+        break;
+      }
+      if (char !== '\\') {
+        decoded += char;
+        this.position++;
+        continue;
+      }
+
+      // Escape sequences may be split across chunks: wait for the rest
+      const escape = this.raw[this.position + 1];
+      if (escape === undefined) {
+        break;
+      }
+      if (escape === 'u') {
+        const hex = this.raw.substring(this.position + 2, this.position + 6);
+        if (hex.length < 4) {
+          break;
+        }
+        decoded += String.fromCharCode(parseInt(hex, 16));
+        this.position += 6;
+      } else {
+        decoded += JSON_ESCAPES[escape] ?? escape;
+        this.position += 2;
+      }
+    }
+    return decoded;
+  }
+}
+
+/**
+ * Parse a complete structured output
+ * @param {string} raw - Full provider output
+ * @returns {{translation: string, detectedLanguage: string|null, confidence: number|null, notes: string[]}|null} Parsed output, or null when it is not the expected JSON
+ */
+export function parseStructuredTranslation(raw) {
+  const json = String(raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed.translation !== 'string') {
+    return null;
+  }
+
+  const confidence = Number(parsed.confidence);
+  return {
+    translation: parsed.translation,
+    detectedLanguage: typeof parsed.detectedLanguage === 'string' && parsed.detectedLanguage.trim() ? parsed.detectedLanguage.trim() : null,
+    confidence: parsed.confidence !== undefined && parsed.confidence !== null && Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+    notes: Array.isArray(parsed.notes)
+      ? parsed.notes.filter(note => typeof note === 'string' && note.trim()).slice(0, MAX_NOTES).map(note => note.trim().substring(0, MAX_NOTE_CHARS))
+      : []
+  };
+}
+
+/**
+ * Combine the details of the segments of a long input
+ * @param {Array<Object|null>} details - Parsed outputs per segment (null for plain-text segments)
+ * @returns {Object|null} Most frequent detected language, lowest confidence and all notes; null when no segment had details
+ */
+export function mergeStructuredDetails(details) {
+  const present = details.filter(Boolean);
+  if (present.length === 0) {
+    return null;
+  }
+
+  const languageCounts = new Map();
+  present.forEach(({ detectedLanguage }) => {
+    if (detectedLanguage) languageCounts.set(detectedLanguage, (languageCounts.get(detectedLanguage) || 0) + 1);
+  });
+  const confidences = present.map(({ confidence }) => confidence).filter(confidence => confidence !== null);
+
+  return {
+    detectedLanguage: [...languageCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null,
+    confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+    notes: [...new Set(present.flatMap(({ notes }) => notes))].slice(0, MAX_NOTES)
+  };
+}
+
+export default { formatStructuredInstructions, parseStructuredTranslation, mergeStructuredDetails, StructuredTranslationParser, translationJsonSchema, geminiTranslationSchema };
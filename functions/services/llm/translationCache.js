@@ -0,0 +1,129 @@
+import { createHash } from 'crypto';
+import JsonFileStore from '../storage/jsonFileStore.js';
+
+/**
+ * Translation cache
+ * In-memory LRU of finished translations, optionally backed by a JSON file so hits survive
+ * cold starts. Keys cover everything that changes the output: normalized text, language pair,
+ * provider and model, prompt version, conversation context, and the settings that reach the prompt.
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+function getMaxEntries() {
+  // TRANSLATION_CACHE_SIZE=0 disables the cache
+  if (!process.env.TRANSLATION_CACHE_SIZE) {
+    return DEFAULT_MAX_ENTRIES;
+  }
+  const configured = Number(process.env.TRANSLATION_CACHE_SIZE);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_MAX_ENTRIES;
+}
+
+/**
+ * Normalize text for cache lookups (Unicode form and whitespace)
+ * Case is kept: "US" and "us", or a proper noun and a common word, translate differently.
+ * @param {string} text - Source text
+ * @returns {string} Normalized text
+ */
+export function normalizeCacheText(text) {
+  return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+// The same sentence reads differently after different turns, so the context window is part of the key
+function hashContext(context) {
+  const turns = context.map(turn => [normalizeCacheText(turn.source), normalizeCacheText(turn.translation), turn.sourceLang, turn.targetLang]);
+  return createHash('sha256').update(JSON.stringify(turns)).digest('hex');
+}
+
+class TranslationCache {
+  /**
+   * @param {Object} [config] - { maxEntries, persist }
+   */
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries ?? getMaxEntries();
+    this.persist = config.persist ?? process.env.TRANSLATION_CACHE_PERSIST === 'true';
+    this.entries = new Map();
+    this.store = this.persist ? new JsonFileStore('translationCache', {}) : null;
+    this.loaded = false;
+  }
+
+  /**
+   * Build the cache key for a translation
+   * @param {Object} params - { text, sourceLang, targetLang, provider, model, promptVersion, context, settings }
+   * context holds the normalized conversation turns sent with the translation
+   * @returns {string} Key
+   */
+  buildKey({ text, sourceLang, targetLang, provider, model, promptVersion, context = [], settings = {} }) {
+    const parts = [normalizeCacheText(text), sourceLang, targetLang, provider, model, promptVersion, hashContext(context), JSON.stringify(settings)];
+    return createHash('sha256').update(parts.join('\u0000')).digest('hex');
+  }
+
+  isEnabled() {
+    return this.maxEntries > 0;
+  }
+
+  async ensureLoaded() {
+    if (this.loaded || !this.store) {
+      this.loaded = true;
+      return;
+    }
+
+    const persisted = await this.store.read();
+    // Oldest first, so the most recently used entries end up at the LRU tail
+    Object.entries(persisted)
+      .sort(([, a], [, b]) => a.lastUsedAt - b.lastUsedAt)
+      .slice(-this.maxEntries)
+      .forEach(([key, entry]) => this.entries.set(key, entry));
+    this.loaded = true;
+  }
+
+  /**
+   * Look up a translation and mark it as recently used
+   * @param {string} key - Key from buildKey
+   * @returns {Promise<Object|null>} { text, provider, model, createdAt } or null on a miss
+   */
+  async get(key) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    await this.ensureLoaded();
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { ...entry, lastUsedAt: Date.now() });
+    return entry;
+  }
+
+  /**
+   * Store a finished translation, evicting the least recently used entries
+   * @param {string} key - Key from buildKey
+   * @param {Object} value - { text, provider, model }
+   */
+  async set(key, value) {
+    if (!this.isEnabled()) {
+      return;
+    }
+    await this.ensureLoaded();
+
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, { ...value, createdAt: now, lastUsedAt: now });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    if (this.store) {
+      await this.store.update(() => Object.fromEntries(this.entries));
+    }
+  }
+}
+
+// Shared across invocations of a warm function instance
+export const translationCache = new TranslationCache();
+
+export default TranslationCache;
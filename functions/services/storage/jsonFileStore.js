@@ -0,0 +1,89 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Minimal JSON document store backed by a file
+ * Files live in DATA_DIR (default: <tmpdir>/betabarn-data). On Netlify that directory is
+ * ephemeral per function instance, so point DATA_DIR at persistent storage for durable data.
+ */
+
+// Serializes writes per file within this process
+const writeQueues = new Map();
+
+export function getDataDir() {
+  return process.env.DATA_DIR || path.join(os.tmpdir(), 'betabarn-data');
+}
+
+class JsonFileStore {
+  /**
+   * @param {string} name - Document name, stored as <DATA_DIR>/<name>.json
+   * @param {*} defaultValue - Value returned when the file does not exist yet
+   */
+  constructor(name, defaultValue = {}) {
+    this.filePath = path.join(getDataDir(), `${name}.json`);
+    this.defaultValue = defaultValue;
+  }
+
+  /**
+   * Read the whole document
+   * A file that is not valid JSON is moved aside (<name>.json.corrupt-<timestamp>) before the
+   * default is returned, so the next write cannot wipe the data it still holds.
+   * @returns {Promise<*>} Parsed document, or a copy of the default value when the file does not exist
+   * @throws {Error} If the file exists but cannot be read, or a corrupt file cannot be moved aside
+   */
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return structuredClone(this.defaultValue);
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      console.error(`Failed to parse ${this.filePath}, moving it to ${corruptPath}:`, error.message);
+      await fs.rename(this.filePath, corruptPath);
+      return structuredClone(this.defaultValue);
+    }
+  }
+
+  /**
+   * Replace the whole document
+   * @param {*} value - JSON-serializable value
+   */
+  async write(value) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Write to a temp file and rename, so readers never see a partial document
+    const tempPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Read-modify-write the document, serialized with other updates to the same file
+   * @param {Function} updater - Receives the current document, returns the new one
+   * @returns {Promise<*>} The new document
+   */
+  async update(updater) {
+    const previous = writeQueues.get(this.filePath) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const current = await this.read();
+        const updated = await updater(current);
+        await this.write(updated);
+        return updated;
+      });
+
+    writeQueues.set(this.filePath, next);
+    return next;
+  }
+}
+
+export default JsonFileStore;
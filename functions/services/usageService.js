@@ -0,0 +1,129 @@
+import JsonFileStore from './storage/jsonFileStore.js';
+import { defaultPriceTable } from '../data/llmPricing.js';
+
+/**
+ * Usage Service
+ * Prices provider usage events and aggregates them per day, user and provider.
+ */
+
+const ANONYMOUS_USER = 'anonymous';
+
+function getPriceTable() {
+  if (!process.env.LLM_PRICE_TABLE) {
+    return defaultPriceTable;
+  }
+
+  try {
+    return { ...defaultPriceTable, ...JSON.parse(process.env.LLM_PRICE_TABLE) };
+  } catch (error) {
+    console.error('Invalid LLM_PRICE_TABLE, using default prices:', error.message);
+    return defaultPriceTable;
+  }
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+class UsageService {
+  constructor() {
+    this.store = new JsonFileStore('usage', {});
+  }
+
+  /**
+   * Get the active price table
+   * @returns {Object} Model name -> { input, output } USD per 1M tokens
+   */
+  getPriceTable() {
+    return getPriceTable();
+  }
+
+  /**
+   * Price a usage event
+   * @param {Object} usage - { model, inputTokens, outputTokens }
+   * @returns {number|null} Cost in USD, or null when the model or token counts are unknown
+   */
+  calculateCost({ model, inputTokens, outputTokens }) {
+    const price = getPriceTable()[model];
+    if (!price || inputTokens == null || outputTokens == null) {
+      return null;
+    }
+    return roundCost((inputTokens * price.input + outputTokens * price.output) / 1_000_000);
+  }
+
+  /**
+   * Add a usage event to the daily aggregate
+   * @param {Object} usage - Usage event payload ({ provider, model, inputTokens, outputTokens, firstTokenMs, promptVersion, costUsd, primary })
+   * Tokens and cost add up for every event; requests only count primary events, one per user request
+   * @param {Object} owner - { userId }, anonymous when missing
+   */
+  async recordUsage(usage, { userId } = {}) {
+    const date = new Date().toISOString().substring(0, 10);
+    const user = typeof userId === 'string' && userId.trim() ? userId.trim().substring(0, 100) : ANONYMOUS_USER;
+    const key = `${date}|${user}|${usage.provider}`;
+
+    await this.store.update(aggregates => {
+      const current = aggregates[key] || {
+        date,
+        userId: user,
+        provider: usage.provider,
+        models: [],
+        promptVersions: {},
+        requests: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        costUsd: 0,
+        firstTokenMsTotal: 0,
+        firstTokenSamples: 0
+      };
+
+      const updated = {
+        ...current,
+        models: current.models.includes(usage.model) ? current.models : [...current.models, usage.model],
+        // Requests per prompt template revision
+        promptVersions: usage.promptVersion
+          ? { ...current.promptVersions, [usage.promptVersion]: (current.promptVersions?.[usage.promptVersion] || 0) + 1 }
+          : current.promptVersions || {},
+        requests: current.requests + (usage.primary ? 1 : 0),
+        inputTokens: current.inputTokens + (usage.inputTokens || 0),
+        outputTokens: current.outputTokens + (usage.outputTokens || 0),
+        costUsd: roundCost(current.costUsd + (usage.costUsd || 0)),
+        firstTokenMsTotal: current.firstTokenMsTotal + (usage.firstTokenMs || 0),
+        firstTokenSamples: current.firstTokenSamples + (usage.firstTokenMs != null ? 1 : 0)
+      };
+
+      return { ...aggregates, [key]: updated };
+    });
+  }
+
+  /**
+   * Get aggregated usage rows, newest day first
+   * @param {Object} filters - { userId, provider, from, to } (dates as YYYY-MM-DD, inclusive)
+   * @returns {Promise<{rows: Array, totals: Object}>} Rows per day/user/provider and their totals
+   */
+  async getUsage({ userId, provider, from, to } = {}) {
+    const aggregates = await this.store.read();
+
+    const rows = Object.values(aggregates)
+      .filter(row => !userId || row.userId === userId)
+      .filter(row => !provider || row.provider === provider)
+      .filter(row => !from || row.date >= from)
+      .filter(row => !to || row.date <= to)
+      .map(({ firstTokenMsTotal, firstTokenSamples, ...row }) => ({
+        ...row,
+        avgFirstTokenMs: firstTokenSamples > 0 ? Math.round(firstTokenMsTotal / firstTokenSamples) : null
+      }))
+      .sort((a, b) => b.date.localeCompare(a.date) || a.userId.localeCompare(b.userId) || a.provider.localeCompare(b.provider));
+
+    const totals = rows.reduce((sum, row) => ({
+      requests: sum.requests + row.requests,
+      inputTokens: sum.inputTokens + row.inputTokens,
+      outputTokens: sum.outputTokens + row.outputTokens,
+      costUsd: roundCost(sum.costUsd + row.costUsd)
+    }), { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+    return { rows, totals };
+  }
+}
+
+export default new UsageService();
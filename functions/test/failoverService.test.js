@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'betabarn-test-'));
+const baseEnv = {
+  DATA_DIR: dataDir,
+  LLM_FIRST_CHUNK_TIMEOUT_MS: '50',
+  LLM_STALL_TIMEOUT_MS: '50',
+  LLM_TOTAL_TIMEOUT_MS: '200',
+  LLM_MAX_RETRIES: '1',
+  LLM_RETRY_BASE_DELAY_MS: '1',
+  LLM_BREAKER_FAILURE_THRESHOLD: '1000'
+};
+
+let streamWithFailover;
+let isRetryableError;
+
+// Provider double: each call runs the next script step, (onEvent, signal) => Promise<string>
+function scriptedProvider(...steps) {
+  const service = { calls: 0, signals: [] };
+  service.translateStream = (text, langCode1, langCode2, uiService, onEvent, { signal }) => {
+    service.signals.push(signal);
+    const step = steps[Math.min(service.calls++, steps.length - 1)];
+    return step(onEvent, signal);
+  };
+  return service;
+}
+
+const answer = (text) => async (onEvent) => {
+  onEvent({ type: 'delta', text });
+  onEvent({ type: 'done', text });
+  return text;
+};
+const hang = () => (onEvent, signal) => new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+const stallAfterChunk = () => (onEvent, signal) => {
+  onEvent({ type: 'delta', text: 'Hal' });
+  return hang()(onEvent, signal);
+};
+const fail = (status) => async () => {
+  throw Object.assign(new Error(`status ${status}`), { status });
+};
+
+function registryOf(services) {
+  return { getProvider: (name) => services[name] };
+}
+
+async function run(chain, services, options = {}) {
+  const events = [];
+  const switches = [];
+  const outcome = await streamWithFailover(chain, registryOf(services), ['Hello', 'en-US', 'sv-SE', {}], event => events.push(event), info => switches.push(info), options);
+  return { ...outcome, events, switches };
+}
+
+before(async () => {
+  Object.assign(process.env, baseEnv);
+  ({ streamWithFailover, isRetryableError } = await import('../services/llm/failoverService.js'));
+});
+
+after(() => {
+  Object.keys(baseEnv).forEach(name => delete process.env[name]);
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('returns the first provider that answers', async () => {
+  const primary = scriptedProvider(answer('Hej'));
+  const outcome = await run(['primary', 'backup'], { primary, backup: scriptedProvider(answer('unused')) });
+
+  assert.equal(outcome.provider, 'primary');
+  assert.equal(outcome.result, 'Hej');
+  assert.deepEqual(outcome.switches, []);
+});
+
+test('fails over when no first chunk arrives in time, aborting the attempt', async () => {
+  const primary = scriptedProvider(hang());
+  const outcome = await run(['primary', 'backup'], { primary, backup: scriptedProvider(answer('Hej')) });
+
+  assert.equal(outcome.provider, 'backup');
+  assert.equal(outcome.switches.length, 1);
+  assert.match(outcome.switches[0].reason, /primary/);
+  assert.ok(primary.signals.every(signal => signal.aborted), 'the hanging request is aborted');
+});
+
+test('fails over without retrying when a provider stalls after its first chunk', async () => {
+  const primary = scriptedProvider(stallAfterChunk());
+  const outcome = await run(['primary', 'backup'], { primary, backup: scriptedProvider(answer('Hej')) });
+
+  assert.equal(outcome.provider, 'backup');
+  assert.equal(primary.calls, 1, 'text already reached the client, so the provider is not retried');
+  assert.match(outcome.switches[0].reason, /stalled/);
+});
+
+test('retries a retryable error on the same provider before failing over', async () => {
+  const primary = scriptedProvider(fail(503), answer('Hej'));
+  const outcome = await run(['primary', 'backup'], { primary, backup: scriptedProvider(answer('unused')) });
+
+  assert.equal(outcome.provider, 'primary');
+  assert.equal(primary.calls, 2);
+  assert.deepEqual(outcome.switches, []);
+});
+
+test('does not retry errors that are not transient', async () => {
+  const primary = scriptedProvider(fail(400));
+  const outcome = await run(['primary', 'backup'], { primary, backup: scriptedProvider(answer('Hej')) });
+
+  assert.equal(primary.calls, 1);
+  assert.equal(outcome.provider, 'backup');
+});
+
+test('rejects with every failure when the chain is exhausted', async () => {
+  await assert.rejects(
+    run(['primary', 'backup'], { primary: scriptedProvider(fail(400)), backup: scriptedProvider(hang()) }),
+    /All providers failed \(primary: status 400; backup: .+\)/
+  );
+});
+
+test('stops without failing over when the caller aborts', async () => {
+  const controller = new AbortController();
+  const backup = scriptedProvider(answer('unused'));
+  setTimeout(() => controller.abort(new Error('client went away')), 10);
+
+  await assert.rejects(
+    run(['primary', 'backup'], { primary: scriptedProvider(hang()), backup }, { signal: controller.signal }),
+    /client went away/
+  );
+  assert.equal(backup.calls, 0);
+});
+
+test('classifies transient errors as retryable', () => {
+  assert.equal(isRetryableError({ status: 429 }), true);
+  assert.equal(isRetryableError({ status: 400 }), false);
+  assert.equal(isRetryableError({ code: 'ECONNRESET' }), true);
+  assert.equal(isRetryableError({ retryable: false, status: 503 }), false);
+});
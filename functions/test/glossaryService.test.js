@@ -0,0 +1,45 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'betabarn-test-'));
+const MAX_ENTRIES_PER_SCOPE = 200;
+
+let glossaryService;
+let GlossaryLimitError;
+
+const entry = (index) => ({ sourceTerm: `term ${index}`, targetTerm: `term ${index}`, sourceLang: 'en-US', targetLang: 'sv-SE', keepOriginal: false });
+
+before(async () => {
+  process.env.DATA_DIR = dataDir;
+  ({ default: glossaryService, GlossaryLimitError } = await import('../services/glossaryService.js'));
+});
+
+after(() => {
+  delete process.env.DATA_DIR;
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('rejects a new entry once a scope is full', async () => {
+  for (let index = 0; index < MAX_ENTRIES_PER_SCOPE; index++) {
+    await glossaryService.addEntry('session', 'full-session', entry(index));
+  }
+
+  await assert.rejects(glossaryService.addEntry('session', 'full-session', entry(MAX_ENTRIES_PER_SCOPE)), GlossaryLimitError);
+  assert.equal((await glossaryService.listEntries('session', 'full-session')).length, MAX_ENTRIES_PER_SCOPE);
+});
+
+test('still replaces an existing entry in a full scope', async () => {
+  const replaced = await glossaryService.addEntry('session', 'full-session', { ...entry(0), targetTerm: 'begrepp 0' });
+  const entries = await glossaryService.listEntries('session', 'full-session');
+
+  assert.equal(entries.length, MAX_ENTRIES_PER_SCOPE);
+  assert.equal(entries.find(stored => stored.id === replaced.id).targetTerm, 'begrepp 0');
+});
+
+test('limits each scope separately', async () => {
+  await glossaryService.addEntry('user', 'kay', entry(0));
+  assert.equal((await glossaryService.listEntries('user', 'kay')).length, 1);
+});
@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'betabarn-test-'));
+
+let JsonFileStore;
+
+before(async () => {
+  process.env.DATA_DIR = dataDir;
+  ({ default: JsonFileStore } = await import('../services/storage/jsonFileStore.js'));
+});
+
+after(() => {
+  delete process.env.DATA_DIR;
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('returns the default while the file does not exist', async () => {
+  const store = new JsonFileStore('missing', { entries: [] });
+  assert.deepEqual(await store.read(), { entries: [] });
+});
+
+test('moves a corrupt file aside instead of overwriting it', async () => {
+  const corrupt = '{"user:kay": [{"sourceTerm": "deploy"';
+  writeFileSync(path.join(dataDir, 'corrupt.json'), corrupt);
+  const store = new JsonFileStore('corrupt', {});
+
+  await store.update(document => ({ ...document, fresh: true }));
+
+  const moved = readdirSync(dataDir).find(name => name.startsWith('corrupt.json.corrupt-'));
+  assert.ok(moved, 'expected the corrupt file to be kept');
+  assert.equal(readFileSync(path.join(dataDir, moved), 'utf8'), corrupt);
+  assert.deepEqual(await store.read(), { fresh: true });
+});
+
+test('serializes concurrent updates to the same file', async () => {
+  const store = new JsonFileStore('counter', { count: 0 });
+  await Promise.all(Array.from({ length: 10 }, () => store.update(document => ({ count: document.count + 1 }))));
+  assert.deepEqual(await store.read(), { count: 10 });
+});
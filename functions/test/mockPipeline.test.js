@@ -0,0 +1,121 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// End-to-end through router → failover → SSE with the mock provider; no network, no API keys
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'betabarn-test-'));
+const baseEnv = {
+  DATA_DIR: dataDir,
+  MOCK_LLM: 'true',
+  MOCK_LLM_CHUNK_DELAY_MS: '0',
+  MOCK_LLM_FIRST_CHUNK_DELAY_MS: '0',
+  TRANSLATION_CACHE_SIZE: '0',
+  LLM_MAX_RETRIES: '0',
+  LLM_STALL_TIMEOUT_MS: '200',
+  LLM_FIRST_CHUNK_TIMEOUT_MS: '200',
+  LLM_BREAKER_FAILURE_THRESHOLD: '1000'
+};
+// Settings that would bring in real providers or change the mock's behaviour
+const clearedEnv = ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY', 'LOCAL_LLM_BASE_URL', 'LLM_PROVIDER', 'MOCK_LLM_FAILURE', 'MOCK_LLM_TRANSLATIONS', 'QUALITY_CHECK'];
+
+let translateStream;
+
+// Parse a complete SSE body into { event, data } pairs
+function parseSSE(body) {
+  return body.split('\n\n').filter(Boolean).map(block => {
+    const lines = block.split('\n');
+    const event = lines.find(line => line.startsWith('event: '))?.slice('event: '.length);
+    const data = lines.find(line => line.startsWith('data: '))?.slice('data: '.length);
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+async function translate(body) {
+  const response = await translateStream(new Request('http://localhost/.netlify/functions/translateStream', {
+    method: 'POST',
+    body: JSON.stringify({ langCode1: 'en-US', langCode2: 'sv-SE', ...body })
+  }), {});
+  assert.equal(response.status, 200);
+  return parseSSE(await response.text());
+}
+
+before(async () => {
+  clearedEnv.forEach(name => delete process.env[name]);
+  Object.assign(process.env, baseEnv);
+  ({ default: translateStream } = await import('../translateStream.js'));
+});
+
+beforeEach(() => {
+  delete process.env.MOCK_LLM_BACKUP;
+  delete process.env.LLM_FAILOVER_CHAIN;
+});
+
+after(() => {
+  Object.keys(baseEnv).forEach(name => delete process.env[name]);
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('streams routing, deltas, usage and done for a translation', async () => {
+  const events = await translate({ text: 'Hello there' });
+  const names = events.map(({ event }) => event);
+
+  assert.equal(names[0], 'meta');
+  assert.equal(events[0].data.kind, 'routing');
+  assert.equal(events[0].data.provider, 'mock');
+  assert.ok(names.includes('delta'));
+  assert.ok(names.includes('usage'));
+  assert.equal(names.at(-1), 'done');
+
+  const streamed = events.filter(({ event }) => event === 'delta').map(({ data }) => data.text).join('');
+  assert.equal(streamed, '[sv-SE] Hello there');
+  assert.equal(events.at(-1).data.text, '[sv-SE] Hello there');
+  assert.equal(events.at(-1).data.provider, 'mock');
+});
+
+test('fails over to the backup when the mock injects an error', async () => {
+  process.env.MOCK_LLM_BACKUP = 'true';
+  process.env.LLM_FAILOVER_CHAIN = 'mock,mock-backup';
+
+  const events = await translate({ text: 'Hello [[mock:error]]' });
+  const switched = events.find(({ event }) => event === 'providerSwitched');
+
+  assert.ok(switched, 'expected a providerSwitched event');
+  assert.equal(switched.data.from, 'mock');
+  assert.equal(switched.data.to, 'mock-backup');
+  assert.equal(events.at(-1).event, 'done');
+  assert.equal(events.at(-1).data.provider, 'mock-backup');
+  assert.equal(events.at(-1).data.text, '[sv-SE] Hello');
+});
+
+test('fails over to the backup when the mock stalls mid-stream', async () => {
+  process.env.MOCK_LLM_BACKUP = 'true';
+  process.env.LLM_FAILOVER_CHAIN = 'mock,mock-backup';
+
+  const events = await translate({ text: 'Good morning everyone [[mock:stall@2]]' });
+  const switchIndex = events.findIndex(({ event }) => event === 'providerSwitched');
+
+  assert.ok(switchIndex > 0, 'expected a providerSwitched event');
+  assert.match(events[switchIndex].data.reason, /stalled/);
+  // Deltas from the stalled attempt came before the switch, so the client discards them
+  assert.ok(events.slice(0, switchIndex).some(({ event }) => event === 'delta'));
+  assert.equal(events.at(-1).data.provider, 'mock-backup');
+  assert.equal(events.at(-1).data.text, '[sv-SE] Good morning everyone');
+});
+
+test('ends with an error event when every provider fails', async () => {
+  const events = await translate({ text: 'Hello [[mock:error]]' });
+
+  assert.equal(events.at(-1).event, 'error');
+  assert.match(events.at(-1).data.message, /All providers failed/);
+  assert.ok(!events.some(({ event }) => event === 'done'));
+});
+
+test('never routes a confidential session to the mock', async () => {
+  const events = await translate({ text: 'Hello there', sensitive: true });
+
+  assert.equal(events.at(-1).event, 'error');
+  assert.match(events.at(-1).data.message, /local LLM provider/);
+  assert.ok(!events.some(({ event }) => event === 'delta'));
+});
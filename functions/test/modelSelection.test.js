@@ -0,0 +1,59 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAllowedModels, validateModelSelection, SelectionErrorCode } from '../services/llm/modelSelection.js';
+
+// Registry double with the configured model of each provider
+function registryOf(models, localProviders = []) {
+  return {
+    getAvailableProviders: () => Object.keys(models),
+    getLocalProviders: () => localProviders,
+    getProvider: (name) => ({ getModel: () => models[name] })
+  };
+}
+
+const registry = registryOf({ gemini: 'gemini-2.0-flash', openai: 'gpt-5-mini', local: 'llama3.1' }, ['local']);
+
+afterEach(() => {
+  delete process.env.LLM_MODEL_ALLOWLIST;
+});
+
+test('allows the configured model and the default allowlist', () => {
+  const allowed = getAllowedModels(registry);
+
+  assert.deepEqual(allowed.gemini, ['gemini-2.0-flash', 'gemini-2.0-flash-lite']);
+  assert.deepEqual(allowed.local, ['llama3.1']);
+});
+
+test('merges LLM_MODEL_ALLOWLIST into the default lists', () => {
+  process.env.LLM_MODEL_ALLOWLIST = JSON.stringify({ gemini: ['gemini-2.5-flash'], openai: [] });
+  const allowed = getAllowedModels(registry);
+
+  assert.deepEqual(allowed.gemini, ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-2.5-flash']);
+  // An empty list adds nothing and removes nothing
+  assert.deepEqual(allowed.openai, ['gpt-5-mini']);
+});
+
+test('keeps the defaults when LLM_MODEL_ALLOWLIST is not JSON', () => {
+  process.env.LLM_MODEL_ALLOWLIST = '{gemini:';
+  assert.deepEqual(getAllowedModels(registry).gemini, ['gemini-2.0-flash', 'gemini-2.0-flash-lite']);
+});
+
+test('accepts allowed selections and finds the provider of a bare model', () => {
+  assert.deepEqual(validateModelSelection({}, registry), { valid: true, provider: null, model: null });
+  assert.deepEqual(validateModelSelection({ provider: 'gemini', model: 'gemini-2.0-flash-lite' }, registry), { valid: true, provider: 'gemini', model: 'gemini-2.0-flash-lite' });
+  assert.deepEqual(validateModelSelection({ model: 'gpt-5-mini' }, registry), { valid: true, provider: 'openai', model: 'gpt-5-mini' });
+});
+
+test('rejects models and providers outside the allowlist', () => {
+  const model = validateModelSelection({ provider: 'gemini', model: 'gemini-ultra' }, registry);
+  assert.equal(model.valid, false);
+  assert.equal(model.error.code, SelectionErrorCode.MODEL_NOT_ALLOWED);
+
+  const provider = validateModelSelection({ provider: 'anthropic' }, registry);
+  assert.equal(provider.error.code, SelectionErrorCode.PROVIDER_NOT_ALLOWED);
+});
+
+test('confidential sessions may only select local providers', () => {
+  assert.equal(validateModelSelection({ provider: 'gemini' }, registry, { localOnly: true }).valid, false);
+  assert.equal(validateModelSelection({ provider: 'local' }, registry, { localOnly: true }).valid, true);
+});
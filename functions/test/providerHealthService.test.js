@@ -0,0 +1,120 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'betabarn-test-'));
+const COOLDOWN_MS = 50;
+
+let providerHealthService;
+let BreakerState;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function readPersisted() {
+  return JSON.parse(readFileSync(path.join(dataDir, 'providerHealth.json'), 'utf8'));
+}
+
+// Open the breaker of a provider and wait until it is half-open
+async function makeHalfOpen(provider) {
+  await providerHealthService.recordFailure(provider, new Error('boom'));
+  await providerHealthService.recordFailure(provider, new Error('boom'));
+  await wait(COOLDOWN_MS + 10);
+}
+
+before(async () => {
+  process.env.DATA_DIR = dataDir;
+  process.env.LLM_BREAKER_FAILURE_THRESHOLD = '2';
+  process.env.LLM_BREAKER_COOLDOWN_MS = String(COOLDOWN_MS);
+  ({ default: providerHealthService, BreakerState } = await import('../services/llm/providerHealthService.js'));
+});
+
+beforeEach(async () => {
+  // Every test starts from closed breakers
+  const health = await providerHealthService.getHealth();
+  Object.keys(health).forEach(name => delete health[name]);
+});
+
+after(() => {
+  delete process.env.DATA_DIR;
+  delete process.env.LLM_BREAKER_FAILURE_THRESHOLD;
+  delete process.env.LLM_BREAKER_COOLDOWN_MS;
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('opens the breaker at the failure threshold', async () => {
+  await providerHealthService.recordFailure('gemini', new Error('boom'));
+  assert.deepEqual(await providerHealthService.filterAvailable(['gemini', 'openai']), ['gemini', 'openai']);
+
+  await providerHealthService.recordFailure('gemini', new Error('boom'));
+  assert.deepEqual(await providerHealthService.filterAvailable(['gemini', 'openai']), ['openai']);
+
+  const [report] = await providerHealthService.getReport(['gemini']);
+  assert.equal(report.state, BreakerState.OPEN);
+  assert.equal(report.consecutiveFailures, 2);
+});
+
+test('a success resets the consecutive failures', async () => {
+  await providerHealthService.recordFailure('gemini', new Error('boom'));
+  await providerHealthService.recordSuccess('gemini', 10);
+  await providerHealthService.recordFailure('gemini', new Error('boom'));
+
+  assert.deepEqual(await providerHealthService.filterAvailable(['gemini']), ['gemini']);
+});
+
+test('lists a half-open provider until its trial is claimed', async () => {
+  await makeHalfOpen('gemini');
+
+  // Listing does not claim the trial: routing may still pick another provider
+  assert.deepEqual(await providerHealthService.filterAvailable(['gemini', 'openai']), ['gemini', 'openai']);
+  assert.deepEqual(await providerHealthService.filterAvailable(['gemini', 'openai']), ['gemini', 'openai']);
+
+  assert.equal(await providerHealthService.claimTrial('gemini'), true);
+  assert.equal(await providerHealthService.claimTrial('gemini'), false);
+  assert.deepEqual(await providerHealthService.filterAvailable(['gemini', 'openai']), ['openai']);
+});
+
+test('a released trial can be claimed again', async () => {
+  await makeHalfOpen('gemini');
+  await providerHealthService.claimTrial('gemini');
+  await providerHealthService.releaseTrial('gemini');
+
+  assert.deepEqual(await providerHealthService.filterAvailable(['gemini']), ['gemini']);
+  assert.equal(await providerHealthService.claimTrial('gemini'), true);
+});
+
+test('a successful trial closes the breaker', async () => {
+  await makeHalfOpen('gemini');
+  await providerHealthService.claimTrial('gemini');
+  await providerHealthService.recordSuccess('gemini', 10);
+
+  const [report] = await providerHealthService.getReport(['gemini']);
+  assert.equal(report.state, BreakerState.CLOSED);
+  assert.equal(await providerHealthService.claimTrial('gemini'), true);
+});
+
+test('a failed trial opens the breaker again', async () => {
+  await makeHalfOpen('gemini');
+  await providerHealthService.claimTrial('gemini');
+  await providerHealthService.recordFailure('gemini', new Error('still down'));
+
+  const [report] = await providerHealthService.getReport(['gemini']);
+  assert.equal(report.state, BreakerState.OPEN);
+  assert.deepEqual(await providerHealthService.filterAvailable(['gemini']), []);
+});
+
+test('claims on closed providers always succeed', async () => {
+  assert.equal(await providerHealthService.claimTrial('openai'), true);
+  assert.equal(await providerHealthService.claimTrial('openai'), true);
+});
+
+test('persist writes the breaker state before the request ends', async () => {
+  await providerHealthService.recordFailure('anthropic', new Error('boom'));
+  await providerHealthService.recordFailure('anthropic', new Error('boom'));
+  await providerHealthService.persist();
+
+  const persisted = readPersisted();
+  assert.equal(persisted.anthropic.state, BreakerState.OPEN);
+  assert.equal(persisted.anthropic.lastError, 'boom');
+});
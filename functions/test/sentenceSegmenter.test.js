@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SegmentSequencer } from '../services/llm/sentenceSegmenter.js';
+
+const delta = (text) => ({ type: 'delta', text });
+const segment = (index) => ({ type: 'segment', index });
+
+test('sends segments in order however their translations finish', () => {
+  const sent = [];
+  const sequencer = new SegmentSequencer(3, event => sent.push(event));
+
+  sequencer.emit(2, delta('C'));
+  sequencer.complete(2, segment(2));
+  sequencer.emit(1, delta('B'));
+  sequencer.emit(0, delta('A'));
+  assert.deepEqual(sent, [delta('A')], 'later segments wait for the first');
+
+  sequencer.complete(0, segment(0));
+  sequencer.complete(1, segment(1));
+
+  assert.deepEqual(sent, [delta('A'), segment(0), delta('B'), segment(1), delta('C'), segment(2)]);
+});
+
+test('streams the head segment without buffering', () => {
+  const sent = [];
+  const sequencer = new SegmentSequencer(2, event => sent.push(event));
+
+  sequencer.emit(0, delta('A'));
+  sequencer.emit(0, delta('a'));
+
+  assert.deepEqual(sent, [delta('A'), delta('a')]);
+});
+
+test('drops buffered and later events once stopped', () => {
+  const sent = [];
+  const sequencer = new SegmentSequencer(2, event => sent.push(event));
+
+  sequencer.emit(1, delta('B'));
+  sequencer.stop();
+  sequencer.emit(0, delta('A'));
+  sequencer.complete(0, segment(0));
+
+  assert.deepEqual(sent, []);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TranslationCache, { normalizeCacheText } from '../services/llm/translationCache.js';
+
+const baseKey = {
+  text: 'Hello there',
+  sourceLang: 'en-US',
+  targetLang: 'sv-SE',
+  provider: 'gemini',
+  model: 'gemini-2.0-flash',
+  promptVersion: 'interpreter@3'
+};
+
+const turn = (source, translation) => ({ source, translation, sourceLang: 'en-US', targetLang: 'sv-SE' });
+
+test('normalizes Unicode form and whitespace but keeps case', () => {
+  assert.equal(normalizeCacheText('  Café \n au   lait '), 'Café au lait');
+  assert.equal(normalizeCacheText('US'), 'US');
+  assert.notEqual(normalizeCacheText('US'), normalizeCacheText('us'));
+});
+
+test('keys differ by casing of the source text', () => {
+  const cache = new TranslationCache({ maxEntries: 10, persist: false });
+  assert.notEqual(cache.buildKey({ ...baseKey, text: 'US' }), cache.buildKey({ ...baseKey, text: 'us' }));
+  assert.equal(cache.buildKey({ ...baseKey, text: 'Hello  there ' }), cache.buildKey(baseKey));
+});
+
+test('keys differ by conversation context', () => {
+  const cache = new TranslationCache({ maxEntries: 10, persist: false });
+  const withoutContext = cache.buildKey(baseKey);
+  const bankContext = cache.buildKey({ ...baseKey, context: [turn('We went to the bank', 'Vi gick till banken')] });
+  const riverContext = cache.buildKey({ ...baseKey, context: [turn('We sat by the river', 'Vi satt vid floden')] });
+
+  assert.notEqual(withoutContext, bankContext);
+  assert.notEqual(bankContext, riverContext);
+  assert.equal(bankContext, cache.buildKey({ ...baseKey, context: [turn('We went to the  bank ', 'Vi gick till banken')] }));
+  assert.equal(withoutContext, cache.buildKey({ ...baseKey, context: [] }));
+});
+
+test('keys differ by provider, model, prompt version and settings', () => {
+  const cache = new TranslationCache({ maxEntries: 10, persist: false });
+  const key = cache.buildKey(baseKey);
+
+  assert.notEqual(key, cache.buildKey({ ...baseKey, provider: 'openai' }));
+  assert.notEqual(key, cache.buildKey({ ...baseKey, model: 'gemini-2.0-flash-lite' }));
+  assert.notEqual(key, cache.buildKey({ ...baseKey, promptVersion: 'interpreter@2' }));
+  assert.notEqual(key, cache.buildKey({ ...baseKey, settings: { formality: 'formal' } }));
+});
+
+test('evicts the least recently used entry', async () => {
+  const cache = new TranslationCache({ maxEntries: 2, persist: false });
+  await cache.set('a', { text: 'A' });
+  await cache.set('b', { text: 'B' });
+
+  // Reading a makes b the least recently used
+  assert.equal((await cache.get('a')).text, 'A');
+  await cache.set('c', { text: 'C' });
+
+  assert.equal(await cache.get('b'), null);
+  assert.equal((await cache.get('a')).text, 'A');
+  assert.equal((await cache.get('c')).text, 'C');
+});
+
+test('stores nothing when the size is 0', async () => {
+  const cache = new TranslationCache({ maxEntries: 0, persist: false });
+  await cache.set('a', { text: 'A' });
+
+  assert.equal(cache.isEnabled(), false);
+  assert.equal(await cache.get('a'), null);
+});
@@ -103,12 +103,11 @@ export async function handler(event, context) {
     // Use centralized language service
     const uiService = languageService.createUIService();
 
-    const googleService = new GoogleService(apiKey);
+    const googleService = new GoogleService({ apiKey });
 
     console.log('Starting translation with Google service...');
 
     let fullTranslation = '';
-    let lastChunk = '';
     
     try {
       const translation = await googleService.translateStream(
@@ -116,10 +115,13 @@ export async function handler(event, context) {
         langCode1, 
         langCode2, 
         uiService,
-        (chunk) => {
-          console.log('Received chunk:', chunk ? chunk.substring(0, 50) + '...' : 'empty');
-          fullTranslation = chunk;
-          lastChunk = chunk;
+        (event) => {
+          if (event.type === 'delta') {
+            console.log('Received chunk:', event.text ? event.text.substring(0, 50) + '...' : 'empty');
+            fullTranslation += event.text;
+          } else if (event.type === 'done') {
+            fullTranslation = event.text;
+          }
         }
       );
 
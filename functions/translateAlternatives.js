@@ -0,0 +1,164 @@
+import languageService from './services/languageService.js';
+import glossaryService from './services/glossaryService.js';
+import usageService from './services/usageService.js';
+import LLMProviderRegistry from './services/llm/llmProviderRegistry.js';
+import promptTemplateService from './services/llm/promptTemplateService.js';
+import { validateModelSelection } from './services/llm/modelSelection.js';
+import { generateAlternatives, InsufficientAlternativesError } from './services/llm/alternativesService.js';
+
+const MAX_TEXT_LENGTH = 2000;
+
+// Body: { text, translation, langCode1, langCode2, sensitive, userId, sessionId, provider, model }
+// Returns two or three alternatives to translation, each with a short explanation of its nuance.
+export async function handler(event, context) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ success: false, message: 'Method not allowed' })
+        };
+    }
+
+    try {
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'Invalid JSON in request body' })
+            };
+        }
+
+        const { langCode1, langCode2, userId, sessionId } = requestData;
+        const text = typeof requestData.text === 'string' ? requestData.text.trim() : '';
+        const translation = typeof requestData.translation === 'string' ? requestData.translation.trim() : '';
+
+        if (!text || !translation || !langCode1 || !langCode2) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'text, translation, langCode1 and langCode2 are required' })
+            };
+        }
+
+        if (text.length > MAX_TEXT_LENGTH || translation.length > MAX_TEXT_LENGTH) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: `text and translation must be at most ${MAX_TEXT_LENGTH} characters` })
+            };
+        }
+
+        if (!languageService.isSupported(langCode1) || !languageService.isSupported(langCode2)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: 'Unsupported language code' })
+            };
+        }
+
+        // Confidential text stays on local providers, as in translateStream
+        const confidential = requestData.sensitive === true;
+
+        await promptTemplateService.load();
+
+        const registry = new LLMProviderRegistry();
+        if (registry.getAvailableProviders().length === 0) {
+            return {
+                statusCode: 500,
+                headers,
+                body: JSON.stringify({ success: false, message: 'No LLM providers configured' })
+            };
+        }
+
+        // Optional provider and model picked by the client, only from the allowlist
+        const selection = validateModelSelection({ provider: requestData.provider, model: requestData.model }, registry, { localOnly: confidential });
+        if (!selection.valid) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, message: selection.error.error, ...selection.error })
+            };
+        }
+        if (selection.model) {
+            registry.useModel(selection.provider, selection.model);
+        }
+
+        // Alternatives respect the same glossary entries as the translation they are for
+        const conversationSessionId = typeof sessionId === 'string' ? sessionId.substring(0, 100) : null;
+        const glossaryEntries = await glossaryService.getEntriesFor({ userId, sessionId: conversationSessionId });
+        const glossaryRules = glossaryService.getApplicableEntries(glossaryEntries, text, langCode1, langCode2);
+
+        const usageTasks = [];
+        const { alternatives, provider, decision } = await generateAlternatives({
+            text,
+            translation,
+            langCode1,
+            langCode2,
+            sensitive: confidential,
+            provider: selection.provider,
+            glossary: glossaryRules
+        }, registry, languageService.createUIService(), (usage) => {
+            // Only the alternatives call uses a prompt template; a routing classifier has its own prompt
+            const promptVersion = usage.purpose ? undefined : registry.getProvider(usage.provider).getPromptVersion(langCode1, langCode2, 'alternatives');
+            // The alternatives call itself counts the request; a routing classifier only adds tokens
+            usageTasks.push(usageService.recordUsage({ ...usage, ...(!usage.purpose && { primary: true }), promptVersion, costUsd: usageService.calculateCost(usage) }, { userId })
+                .catch(error => console.error('Failed to record usage:', error)));
+        });
+        await Promise.all(usageTasks);
+
+        const service = registry.getProvider(provider);
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Alternatives generated',
+                data: {
+                    alternatives,
+                    provider,
+                    model: service.getModel(),
+                    promptVersion: service.getPromptVersion(langCode1, langCode2, 'alternatives'),
+                    routing: { reason: decision.reason, chain: decision.chain }
+                }
+            })
+        };
+
+    } catch (error) {
+        // The model answered, just not usefully: a bad gateway response, not a server crash
+        if (error instanceof InsufficientAlternativesError) {
+            console.warn('Translate alternatives unusable answer:', error.message);
+            return {
+                statusCode: 502,
+                headers,
+                body: JSON.stringify({ success: false, message: 'Could not find alternative translations for this text, please try again' })
+            };
+        }
+
+        console.error('Translate alternatives error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ success: false, message: error.message || 'Internal server error' })
+        };
+    }
+}
@@ -0,0 +1,180 @@
+import { randomUUID } from 'crypto';
+import languageService from './services/languageService.js';
+import glossaryService from './services/glossaryService.js';
+import usageService from './services/usageService.js';
+import LLMProviderRegistry from './services/llm/llmProviderRegistry.js';
+import { streamWithFailover } from './services/llm/failoverService.js';
+import { normalizeContext } from './services/llm/conversationContext.js';
+import { normalizeFormality } from './services/llm/formality.js';
+import promptTemplateService from './services/llm/promptTemplateService.js';
+import { validateTranslation } from './services/llm/outputValidator.js';
+import { StreamEventType, metaEvent, errorEvent, formatSSE } from './services/llm/streamEvents.js';
+
+const MAX_COMPARED_PROVIDERS = 4;
+
+// Netlify Functions 2.0 streaming handler
+// Translates one utterance with several providers in parallel and multiplexes their streams:
+// every event carries the provider it belongs to, and done/error only end that provider's lane.
+// Outputs that fail validation are flagged (done.flagged) so they are not voted on as translations.
+export default async (req, context) => {
+  // Set CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('', {
+      status: 200,
+      headers: corsHeaders
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    const { text, langCode1, langCode2, providers, sessionId, userId, context: contextTurns, formality, sensitive } = await req.json();
+
+    if (!text || !langCode1 || !langCode2) {
+      return jsonResponse(400, { error: 'Missing required parameters: text, langCode1, langCode2' });
+    }
+
+    const registry = new LLMProviderRegistry();
+    // Confidential sessions only compare local providers
+    const available = sensitive === true ? registry.getLocalProviders() : registry.getAvailableProviders();
+    const compared = (Array.isArray(providers) && providers.length > 0
+      ? providers.filter(provider => available.includes(provider))
+      : available
+    ).slice(0, MAX_COMPARED_PROVIDERS);
+
+    if (compared.length < 2) {
+      return jsonResponse(400, { error: 'Comparison needs at least two configured providers', available });
+    }
+
+    const conversationContext = normalizeContext(contextTurns);
+    const conversationSessionId = typeof sessionId === 'string' ? sessionId.substring(0, 100) : null;
+    const glossaryEntries = await glossaryService.getEntriesFor({ userId, sessionId: conversationSessionId });
+    const glossaryRules = glossaryService.getApplicableEntries(glossaryEntries, text, langCode1, langCode2);
+    await promptTemplateService.load();
+
+    // Resolve every lane up front: a provider that cannot serve the pair fails the request here,
+    // not inside the stream where it would end the response without an error event
+    let lanes;
+    try {
+      lanes = compared.map(provider => {
+        const service = registry.getProvider(provider);
+        return { provider, model: service.getModel(), promptVersion: service.getPromptVersion(langCode1, langCode2) };
+      });
+    } catch (laneError) {
+      return jsonResponse(400, { error: 'Cannot compare the selected providers', message: laneError.message, available });
+    }
+
+    // Aborted when the client disconnects or cancels, which stops every lane
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    req.signal?.addEventListener('abort', () => abortController.abort(), { once: true });
+
+    const translateOptions = {
+      context: conversationContext,
+      glossary: glossaryRules,
+      formality: normalizeFormality(formality),
+      sessionId: conversationSessionId,
+      signal
+    };
+    const uiService = languageService.createUIService();
+    const encoder = new TextEncoder();
+    const comparisonId = randomUUID();
+
+    // Confidential text stays out of the hosted function logs
+    console.log(`Comparison ${comparisonId} of ${compared.join(', ')}${sensitive === true ? '' : ` for text: ${text}`}`);
+
+    const stream = new ReadableStream({
+      async start(controller) {
+        let eventId = 0;
+        const send = (event) => {
+          if (signal.aborted) return;
+          controller.enqueue(encoder.encode(formatSSE(event, eventId++)));
+        };
+        const backgroundTasks = [];
+        // Every lane reports usage; the comparison counts as one request
+        let requestCounted = false;
+
+        send(metaEvent('comparison', { comparisonId, providers: lanes }));
+
+        // One lane per provider; a single-provider chain keeps the stall detection without failing over
+        await Promise.all(lanes.map(async ({ provider, promptVersion }) => {
+          try {
+            await streamWithFailover(
+              [provider],
+              registry,
+              [text, langCode1, langCode2, uiService],
+              (event) => {
+                if (event.type === StreamEventType.USAGE) {
+                  const usage = { ...event, ...(!requestCounted && { primary: true }), promptVersion, costUsd: usageService.calculateCost(event) };
+                  requestCounted = true;
+                  send(usage);
+                  backgroundTasks.push(usageService.recordUsage(usage, { userId })
+                    .catch(error => console.error('Failed to record usage:', error)));
+                } else if (event.type === StreamEventType.DONE) {
+                  // Catch lanes that answer the speaker instead of translating them
+                  const validation = validateTranslation(text, event.text);
+                  if (!validation.valid) {
+                    console.warn(`Comparison lane ${provider} failed validation (${validation.reasons.join(', ')})`);
+                    send(metaEvent('validation', { valid: false, reasons: validation.reasons, provider, action: 'flagged' }));
+                  }
+                  send({ ...event, provider, promptVersion, ...(!validation.valid && { flagged: true }) });
+                } else {
+                  send({ ...event, provider });
+                }
+              },
+              () => {},
+              translateOptions
+            );
+          } catch (laneError) {
+            if (signal.aborted) return;
+            console.error(`Comparison lane ${provider} failed:`, laneError);
+            send(errorEvent(laneError.message, { provider }));
+          }
+        }));
+
+        await Promise.all(backgroundTasks);
+        if (signal.aborted) {
+          console.log(`Comparison ${comparisonId} cancelled by the client`);
+        } else {
+          controller.close();
+        }
+      },
+
+      cancel() {
+        abortController.abort();
+      }
+    });
+
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      }
+    });
+
+  } catch (error) {
+    console.error('Comparison request error:', error);
+    return jsonResponse(500, { error: 'Request processing failed', message: error.message });
+  }
+};
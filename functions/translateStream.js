@@ -1,5 +1,23 @@
 import languageService from './services/languageService.js';
-import { getLLMService } from './services/llm/llmRouter.js';  
+import glossaryService from './services/glossaryService.js';
+import usageService from './services/usageService.js';
+import { routeTranslation } from './services/llm/llmRouter.js';
+import LLMProviderRegistry from './services/llm/llmProviderRegistry.js';
+import { streamWithFailover } from './services/llm/failoverService.js';
+import { normalizeContext } from './services/llm/conversationContext.js';
+import { normalizeFormality } from './services/llm/formality.js';
+import { translationCache } from './services/llm/translationCache.js';
+import promptTemplateService from './services/llm/promptTemplateService.js';
+import { validateTranslation, getValidationRetries, RETRY_REMINDER } from './services/llm/outputValidator.js';
+import { createQualityEstimator, getQualityThreshold } from './services/llm/qualityService.js';
+import { validateModelSelection } from './services/llm/modelSelection.js';
+import { segmentText, getSegmentSeparator, SegmentSequencer } from './services/llm/sentenceSegmenter.js';
+import { StructuredTranslationParser, parseStructuredTranslation, mergeStructuredDetails } from './services/llm/structuredOutput.js';
+import { StreamEventType, deltaEvent, doneEvent, metaEvent, errorEvent, providerSwitchedEvent, segmentEvent, notesEvent, qualityEvent, formatSSE } from './services/llm/streamEvents.js';
+
+// Lecture mode: the most target languages one utterance is translated into at once
+const MAX_TARGET_LANGUAGES = 6;
+
 // Netlify Functions 2.0 streaming handler
 export default async (req, context) => {
   // Set CORS headers
@@ -29,11 +47,16 @@ export default async (req, context) => {
   }
 
   try {
-    const { text, langCode1, langCode2 } = await req.json();
+    const { text, langCode1, langCode2, targetLanguages, latency, sessionId, userId, context: contextTurns, formality, sensitive, structured, provider: selectedProvider, model: selectedModel } = await req.json();
+
+    // Lecture mode: targetLanguages replaces langCode2 and the stream is multiplexed by language
+    const targets = Array.isArray(targetLanguages)
+      ? [...new Set(targetLanguages.filter(code => typeof code === 'string' && code !== langCode1 && languageService.isSupported(code)))].slice(0, MAX_TARGET_LANGUAGES)
+      : null;
     
-    if (!text || !langCode1 || !langCode2) {
+    if (!text || !langCode1 || (!langCode2 && !targets)) {
       return new Response(JSON.stringify({ 
-        error: 'Missing required parameters: text, langCode1, langCode2' 
+        error: 'Missing required parameters: text, langCode1, langCode2 (or targetLanguages)' 
       }), {
         status: 400,
         headers: {
@@ -43,10 +66,38 @@ export default async (req, context) => {
       });
     }
 
-    const googleApiKey = process.env.GEMINI_API_KEY;
-    const openAIKey = process.env.OPENAI_API_KEY;
-    if (!googleApiKey || !openAIKey) {
-      return new Response(JSON.stringify({ error: 'API keys not configured' }), {
+    if (targets && targets.length === 0) {
+      return new Response(JSON.stringify({
+        error: 'targetLanguages must contain supported languages other than langCode1'
+      }), {
+        status: 400,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    // Rolling window of prior turns, bounded before it reaches any prompt
+    const conversationContext = normalizeContext(contextTurns);
+    const conversationSessionId = typeof sessionId === 'string' ? sessionId.substring(0, 100) : null;
+    const register = normalizeFormality(formality);
+    // Confidential sessions stay on local providers and are never cached
+    const confidential = sensitive === true;
+    // Structured mode: providers answer in JSON with translator notes, sent after done
+    const structuredOutput = structured === true;
+    console.log(`Translation request for session ${conversationSessionId || 'none'} with ${conversationContext.length} context turn(s), formality ${register}${targets ? `, targets ${targets.join(', ')}` : ''}`);
+
+    // Glossaries of the user and the session; the entries that apply are picked per target language
+    const glossaryEntries = await glossaryService.getEntriesFor({ userId, sessionId: conversationSessionId });
+
+    // Pick up prompt template revisions from the data directory
+    await promptTemplateService.load();
+
+    // Build whichever LLM providers are configured
+    const registry = new LLMProviderRegistry();
+    if (registry.getAvailableProviders().length === 0) {
+      return new Response(JSON.stringify({ error: 'No LLM providers configured' }), {
         status: 500,
         headers: {
           ...corsHeaders,
@@ -55,73 +106,335 @@ export default async (req, context) => {
       });
     }
 
+    // Optional provider and model picked by the client, only from the allowlist
+    const selection = validateModelSelection({ provider: selectedProvider, model: selectedModel }, registry, { localOnly: confidential });
+    if (!selection.valid) {
+      return new Response(JSON.stringify(selection.error), {
+        status: 400,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+    if (selection.model) {
+      registry.useModel(selection.provider, selection.model);
+    }
+
   // Use static ES module imports with correct relative paths
 
     // Use centralized language service
     const uiService = languageService.createUIService();
     const encoder = new TextEncoder();
 
+    // Aborted when the client disconnects or cancels, which also cancels the provider request
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    req.signal?.addEventListener('abort', () => abortController.abort(), { once: true });
+
     // Create streaming response using ReadableStream
     const stream = new ReadableStream({
       async start(controller) {
-        let chunkIndex = 0;
-        let previousText = '';
+        let eventId = 0;
+        const sendEvent = (event) => {
+          if (signal.aborted) return;
+          controller.enqueue(encoder.encode(formatSSE(event, eventId++)));
+        };
+        const close = () => {
+          if (!signal.aborted) controller.close();
+        };
 
-        const llProvider = getLLMService(text, googleApiKey, openAIKey);
+        // Usage and cache writes run in the background and are awaited before the stream closes
+        const backgroundTasks = [];
 
-        try {
-          await llProvider.translateStream(
-            text, 
-            langCode1, 
-            langCode2, 
-            uiService,
-            (currentText, isDone = false) => {
+        // Segments, retries and lecture targets each report usage; only the first event of the
+        // request is primary, so the usage totals count one translation per request
+        let requestCounted = false;
+        const primaryFlag = () => {
+          if (requestCounted) return {};
+          requestCounted = true;
+          return { primary: true };
+        };
+
+        // Translate the text into one target language; send receives that language's events
+        const translateInto = async (targetLang, send) => {
+          const glossaryRules = glossaryService.getApplicableEntries(glossaryEntries, text, langCode1, targetLang);
+
+          // Prompt template revision, recorded with every translation to compare revisions
+          const promptVersionFor = (providerName) => registry.getProvider(providerName).getPromptVersion(langCode1, targetLang);
+
+          // Settings that reach the prompt are part of the cache key
+          const cacheKeyFor = (providerName) => {
+            return translationCache.buildKey({
+              text,
+              sourceLang: langCode1,
+              targetLang,
+              provider: providerName,
+              model: registry.getProvider(providerName).getModel(),
+              promptVersion: promptVersionFor(providerName),
+              context: conversationContext,
+              settings: { formality: register, glossary: glossaryRules, ...(structuredOutput && { structured: true }) }
+            });
+          };
+
+          // Flag outputs that ignore a glossary entry before the stream ends
+          const checkGlossary = (translation) => {
+            const violations = glossaryService.checkTranslation(translation, glossaryRules);
+            if (glossaryRules.length > 0) {
+              send(metaEvent('glossary', { applied: glossaryRules, violations }));
+            }
+            return violations;
+          };
+
+          // Model's view of the source, flagged when it is not the language we assumed
+          const sendNotes = (details) => {
+            if (!details) return;
+            const mismatch = Boolean(details.detectedLanguage)
+              && details.detectedLanguage.split('-')[0].toLowerCase() !== langCode1.split('-')[0].toLowerCase();
+            send(notesEvent({ ...details, languageMismatch: mismatch }));
+          };
+
+          // Evaluation Layer: pick the provider and tell the client why
+          const decision = await routeTranslation({ text, langCode1, langCode2: targetLang, latency, sensitive: confidential, provider: selection.provider }, registry, {
+            signal,
+            // A classifier evaluator spends tokens on every translation, so its usage is recorded too
+            onUsage: (event) => {
+              const usage = { ...event, purpose: 'routing', costUsd: usageService.calculateCost(event) };
+              send(usage);
+              backgroundTasks.push(usageService.recordUsage(usage, { userId })
+                .catch(error => console.error('Failed to record usage:', error)));
+            }
+          });
+
+          send(metaEvent('routing', {
+            provider: decision.provider,
+            reason: decision.reason,
+            evaluator: decision.evaluator,
+            features: decision.features,
+            chain: decision.chain,
+            openCircuits: decision.openCircuits
+          }));
+
+          // Cache hit: replay the stored translation as an immediate stream
+          // A cache that cannot be read is a miss, never a failed translation
+          const cached = confidential ? null : await translationCache.get(cacheKeyFor(decision.provider))
+            .catch(error => {
+              console.error('Failed to read translation cache:', error);
+              return null;
+            });
+          if (cached) {
+            send(metaEvent('cache', { hit: true, provider: cached.provider, model: cached.model, cachedAt: new Date(cached.createdAt).toISOString() }));
+            for (const chunk of cached.text.match(/\S+\s*|\s+/g) || []) {
+              send(deltaEvent(chunk));
+            }
+            checkGlossary(cached.text);
+            send(doneEvent(cached.text, { provider: cached.provider, promptVersion: cached.promptVersion, cached: true }));
+            sendNotes(cached.details);
+            return;
+          }
+
+          const translateOptions = { context: conversationContext, glossary: glossaryRules, formality: register, structured: structuredOutput, sessionId: conversationSessionId, signal };
+          const maxRetries = getValidationRetries();
+
+          // Stream one text through the failover chain, validating the output and retrying with a reminder.
+          // emit receives the events the client sees; on a switch or retry the client discards partial text.
+          const translateWithValidation = async (sourceText, emit, extraOptions = {}) => {
+            const segment = extraOptions.passage ? { segment: extraOptions.passage.index } : {};
+            let chain = decision.chain;
+            let answeringProvider = decision.provider;
+            let translation = '';
+            let details = null;
+            let outcome = { valid: true, reasons: [] };
+
+            for (let attempt = 0; attempt <= maxRetries; attempt++) {
+              // Structured output streams as JSON; only the decoded translation reaches the client
+              let parser = structuredOutput ? new StructuredTranslationParser() : null;
+              const { provider, result } = await streamWithFailover(
+                chain,
+                registry,
+                [sourceText, langCode1, targetLang, uiService],
+                (event) => {
+                  if (event.type === StreamEventType.DONE) {
+                    // Held back until the output has been validated
+                    translation = event.text;
+                  } else if (event.type === StreamEventType.USAGE) {
+                    const usage = { ...event, ...primaryFlag(), promptVersion: promptVersionFor(event.provider), costUsd: usageService.calculateCost(event) };
+                    send(usage);
+                    backgroundTasks.push(usageService.recordUsage(usage, { userId })
+                      .catch(error => console.error('Failed to record usage:', error)));
+                  } else if (parser && event.type === StreamEventType.DELTA) {
+                    const decoded = parser.feed(event.text);
+                    if (decoded) {
+                      emit(deltaEvent(decoded));
+                    }
+                  } else {
+                    emit(event);
+                  }
+                },
+                (switchInfo) => {
+                  answeringProvider = switchInfo.to;
+                  parser = structuredOutput ? new StructuredTranslationParser() : null;
+                  emit(providerSwitchedEvent(switchInfo));
+                },
+                { ...translateOptions, ...extraOptions, ...(attempt > 0 && { reminder: RETRY_REMINDER }) }
+              );
+              answeringProvider = provider;
+              translation = translation || result || '';
+
+              if (structuredOutput) {
+                const parsed = parseStructuredTranslation(translation);
+                if (parsed) {
+                  ({ translation, ...details } = parsed);
+                } else {
+                  // The done event carries the full text, so a plain-text answer still reaches the client
+                  console.warn(`Structured output from ${answeringProvider} was not the expected JSON, using it as plain text`);
+                  details = null;
+                }
+              }
+
+              // Catch outputs that answer the speaker instead of translating them
+              outcome = validateTranslation(sourceText, translation);
+              if (outcome.valid) {
+                break;
+              }
+
+              const willRetry = attempt < maxRetries;
+              console.warn(`Translation from ${answeringProvider} failed validation (${outcome.reasons.join(', ')})${willRetry ? ', retrying' : ''}`);
+              emit(metaEvent('validation', { valid: false, reasons: outcome.reasons, provider: answeringProvider, action: willRetry ? 'retry' : 'flagged', ...segment }));
+
+              if (willRetry) {
+                // Retry on the provider that answered, keeping the rest of the chain for failover
+                chain = decision.chain.slice(decision.chain.indexOf(answeringProvider));
+                translation = '';
+              }
+            }
+
+            return { provider: answeringProvider, text: translation, validation: outcome, details };
+          };
+
+          // Long inputs: sentences are translated in parallel with the whole passage as context and
+          // streamed in order, each followed by a segment event so speech can start on the first one
+          const translateSegments = async (segments) => {
+            const separator = getSegmentSeparator(targetLang);
+            const sequencer = new SegmentSequencer(segments.length, send);
+            const segmentsController = new AbortController();
+            signal.addEventListener('abort', () => segmentsController.abort(signal.reason), { once: true });
+            send(metaEvent('segmentation', { count: segments.length }));
+
+            const results = await Promise.all(segments.map(async (segmentText, index) => {
+              const emit = (event) => sequencer.emit(index, event);
               try {
-                // Only send new content, not the full accumulated text each time
-                const newContent = currentText.slice(previousText.length);
-                
-                if (newContent.length > 0 || isDone) {
-                  const sseData = `data: ${JSON.stringify({ 
-                    chunk: newContent,
-                    fullText: currentText,
-                    index: chunkIndex++,
-                    isDone: isDone
-                  })}\n\n`;
-
-                  controller.enqueue(encoder.encode(sseData));
-                  previousText = currentText;
+                const result = await translateWithValidation(segmentText, emit, {
+                  passage: { text, index, count: segments.length },
+                  signal: segmentsController.signal
+                });
+                if (index < segments.length - 1 && result.text && separator) {
+                  emit(deltaEvent(separator));
                 }
-              } catch (error) {
-                console.error('Error in streaming callback:', error);
-                controller.error(error);
+                sequencer.complete(index, segmentEvent({ index, count: segments.length, text: result.text, flagged: !result.validation.valid }));
+                return result;
+              } catch (segmentError) {
+                // One failed segment fails the translation; stop the others
+                sequencer.stop();
+                segmentsController.abort(segmentError);
+                throw segmentError;
               }
+            }));
+
+            return {
+              provider: results[0].provider,
+              text: results.map(result => result.text).filter(Boolean).join(separator),
+              validation: {
+                valid: results.every(result => result.validation.valid),
+                reasons: [...new Set(results.flatMap(result => result.validation.reasons))]
+              },
+              details: mergeStructuredDetails(results.map(result => result.details))
+            };
+          };
+
+          const segments = segmentText(text, langCode1);
+          const translated = segments.length > 1
+            ? await translateSegments(segments)
+            : await translateWithValidation(text, send);
+
+          const activeProvider = translated.provider;
+          const finalText = translated.text;
+          const validation = translated.validation;
+
+          const violations = checkGlossary(finalText);
+          const promptVersion = promptVersionFor(activeProvider);
+          send(doneEvent(finalText, { provider: activeProvider, promptVersion, ...(!validation.valid && { flagged: true }) }));
+          sendNotes(translated.details);
+
+          if (!confidential && validation.valid && violations.length === 0 && finalText) {
+            const model = registry.getProvider(activeProvider).getModel();
+            backgroundTasks.push(translationCache.set(cacheKeyFor(activeProvider), { text: finalText, provider: activeProvider, model, promptVersion, ...(translated.details && { details: translated.details }) })
+              .catch(error => console.error('Failed to cache translation:', error)));
+          }
+
+          // Optional quality estimate, sent after done so it never delays the translation
+          const qualityEstimator = validation.valid && finalText && !signal.aborted ? createQualityEstimator(registry, { localOnly: confidential }) : null;
+          if (qualityEstimator) {
+            try {
+              const estimate = await qualityEstimator.estimate({
+                source: text,
+                translation: finalText,
+                sourceLang: langCode1,
+                targetLang,
+                provider: activeProvider,
+                uiService,
+                signal,
+                // The check spends tokens too, so its usage is recorded like the translation's
+                onUsage: (event) => {
+                  const usage = { ...event, purpose: 'quality', costUsd: usageService.calculateCost(event) };
+                  send(usage);
+                  backgroundTasks.push(usageService.recordUsage(usage, { userId })
+                    .catch(error => console.error('Failed to record usage:', error)));
+                }
+              });
+              send(qualityEvent({ ...estimate, threshold: getQualityThreshold() }));
+            } catch (qualityError) {
+              console.warn('Quality check failed:', qualityError.message);
             }
-          );
-
-          // Send final completion message
-          const completionData = `data: ${JSON.stringify({ 
-            complete: true,
-            final: true
-          })}\n\n`;
-          controller.enqueue(encoder.encode(completionData));
-          
-          const doneData = 'data: [DONE]\n\n';
-          controller.enqueue(encoder.encode(doneData));
-          
-          // Close the stream
-          controller.close();
+          }
+        };
+
+        try {
+          if (targets) {
+            // One lane per target language; every event carries its language, and done and error
+            // only end that lane
+            sendEvent(metaEvent('targets', { languages: targets }));
+            await Promise.all(targets.map(async (targetLang) => {
+              const sendToLane = (event) => sendEvent({ ...event, language: targetLang });
+              try {
+                await translateInto(targetLang, sendToLane);
+              } catch (laneError) {
+                if (signal.aborted) return;
+                console.error(`Translation into ${targetLang} failed:`, laneError);
+                sendToLane(errorEvent(laneError.message));
+              }
+            }));
+          } else {
+            await translateInto(langCode2, sendEvent);
+          }
+
+          await Promise.all(backgroundTasks);
+          close();
 
         } catch (streamError) {
-          console.error('Streaming translation error:', streamError);
-          
-          const errorData = `data: ${JSON.stringify({ 
-            error: 'Translation failed', 
-            message: streamError.message 
-          })}\n\n`;
-          
-          controller.enqueue(encoder.encode(errorData));
-          controller.close();
+          if (signal.aborted) {
+            console.log('Translation cancelled by the client');
+          } else {
+            console.error('Streaming translation error:', streamError);
+            sendEvent(errorEvent(streamError.message));
+          }
+          await Promise.all(backgroundTasks);
+          close();
         }
+      },
+
+      cancel() {
+        abortController.abort();
       }
     });
 